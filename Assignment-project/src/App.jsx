@@ -2,6 +2,9 @@ import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import Login from "./Login/Login.jsx";
 import Signup from "./Signup/Signup.jsx";
 import Dashboard from "./Dashboard/Dashboard.jsx";
+import ForgotPassword from "./ForgotPassword/ForgotPassword.jsx";
+import ResetPassword from "./ResetPassword/ResetPassword.jsx";
+import VerifyEmail from "./VerifyEmail/VerifyEmail.jsx";
 
 function App() {
   const token = localStorage.getItem("token");
@@ -17,6 +20,12 @@ function App() {
           path="/signup"
           element={token ? <Navigate to="/dashboard" /> : <Signup />}
         />
+        <Route
+          path="/forgot-password"
+          element={token ? <Navigate to="/dashboard" /> : <ForgotPassword />}
+        />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
         <Route
           path="/dashboard"
           element={token ? <Dashboard /> : <Navigate to="/login" />}
@@ -1,34 +1,242 @@
 import React, { useEffect, useState } from "react";
-import api, { setAuthToken } from "../api.js";
+import api, { clearSession, setAuthToken } from "../api.js";
 import "./Dashboard.css";
 
+const PAGE_SIZE = 20;
+
+const isOverdue = (task) =>
+  task.status !== "done" &&
+  Boolean(task.dueDate) &&
+  new Date(task.dueDate) < new Date();
+
 function Dashboard() {
   const [tasks, setTasks] = useState([]);
+  const [filters, setFilters] = useState({
+    q: "",
+    scope: "",
+    status: "",
+    due: "",
+    labels: [],
+    labelMatch: "any",
+    sort: "createdAt",
+    order: "desc",
+  });
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [labels, setLabels] = useState([]);
+  const [labelsKey, setLabelsKey] = useState(0);
+  const [labelForm, setLabelForm] = useState({ name: "", color: "#2563eb" });
+  const [selected, setSelected] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trash, setTrash] = useState([]);
   const [form, setForm] = useState({
     title: "",
     description: "",
     status: "todo",
+    dueDate: "",
+    priority: "medium",
   });
   const [message, setMessage] = useState("");
 
   const token = localStorage.getItem("token");
+  const user = JSON.parse(localStorage.getItem("user") || "null");
 
   useEffect(() => {
     setAuthToken(token);
   }, [token]);
 
-  const loadTasks = async () => {
+  useEffect(() => {
+    let ignore = false;
+    const params = {
+      sort: filters.sort,
+      order: filters.order,
+      page,
+      limit: PAGE_SIZE,
+    };
+    if (filters.q.trim()) {
+      params.q = filters.q.trim();
+    }
+    if (filters.status) {
+      params.status = filters.status;
+    }
+    if (filters.due) {
+      params.due = filters.due;
+    }
+    if (filters.scope) {
+      params.scope = filters.scope;
+    }
+    if (filters.labels.length) {
+      params.label = filters.labels.join(",");
+      params.labelMatch = filters.labelMatch;
+    }
+
+    api
+      .get("/tasks", { params })
+      .then((res) => {
+        if (!ignore) {
+          setTasks(res.data.tasks || []);
+          setTotal(res.data.pagination?.total || 0);
+        }
+      })
+      .catch((error) => {
+        if (!ignore) {
+          setMessage(error.response?.data?.message || "Failed to load tasks");
+        }
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [filters, page, reloadKey]);
+
+  useEffect(() => {
+    let ignore = false;
+    api
+      .get("/labels")
+      .then((res) => {
+        if (!ignore) {
+          setLabels(res.data.labels || []);
+        }
+      })
+      .catch((error) => {
+        if (!ignore) {
+          setMessage(error.response?.data?.message || "Failed to load labels");
+        }
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [labelsKey]);
+
+  useEffect(() => {
+    if (!showTrash) {
+      return undefined;
+    }
+    let ignore = false;
+    api
+      .get("/tasks/trash")
+      .then((res) => {
+        if (!ignore) {
+          setTrash(res.data.tasks || []);
+        }
+      })
+      .catch((error) => {
+        if (!ignore) {
+          setMessage(
+            error.response?.data?.error?.message || "Failed to load trash"
+          );
+        }
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [showTrash, reloadKey]);
+
+  const loadTasks = () => setReloadKey((key) => key + 1);
+  const loadLabels = () => setLabelsKey((key) => key + 1);
+
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+    setPage(1);
+    setSelected([]);
+  };
+
+  const toggleSelected = (taskId) => {
+    setSelected(
+      selected.includes(taskId)
+        ? selected.filter((id) => id !== taskId)
+        : [...selected, taskId]
+    );
+  };
+
+  const handleBulk = async (buildOperation) => {
+    setMessage("");
     try {
-      const res = await api.get("/tasks");
-      setTasks(res.data.tasks || []);
+      const res = await api.post("/tasks/bulk", {
+        operations: selected.map((taskId) => ({
+          taskId,
+          ...buildOperation(taskId),
+        })),
+      });
+      const { succeeded, failed } = res.data.summary;
+      setSelected([]);
+      loadTasks();
+      setMessage(
+        failed
+          ? `${succeeded} task(s) updated, ${failed} failed`
+          : `${succeeded} task(s) updated`
+      );
     } catch (error) {
-      setMessage(error.response?.data?.message || "Failed to load tasks");
+      setMessage(
+        error.response?.data?.error?.message || "Failed to update tasks"
+      );
     }
   };
 
-  useEffect(() => {
-    loadTasks();
-  }, []);
+  const unattachedLabels = (task) =>
+    labels.filter(
+      (label) => !task.labels?.some((attached) => attached._id === label._id)
+    );
+
+  const toggleLabelFilter = (labelId) => {
+    const selected = filters.labels.includes(labelId)
+      ? filters.labels.filter((id) => id !== labelId)
+      : [...filters.labels, labelId];
+    setFilters({ ...filters, labels: selected });
+    setPage(1);
+  };
+
+  const handleCreateLabel = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    try {
+      await api.post("/labels", labelForm);
+      setLabelForm({ ...labelForm, name: "" });
+      loadLabels();
+    } catch (error) {
+      setMessage(
+        error.response?.data?.error?.message || "Failed to create label"
+      );
+    }
+  };
+
+  const handleDeleteLabel = async (label) => {
+    if (!window.confirm(`Delete label "${label.name}" from all tasks?`)) {
+      return;
+    }
+    setMessage("");
+    try {
+      await api.delete(`/labels/${label._id}`);
+      setFilters({
+        ...filters,
+        labels: filters.labels.filter((id) => id !== label._id),
+      });
+      loadLabels();
+      loadTasks();
+    } catch (error) {
+      setMessage(
+        error.response?.data?.error?.message || "Failed to delete label"
+      );
+    }
+  };
+
+  const handleTaskLabel = async (taskId, labelId, attach) => {
+    setMessage("");
+    try {
+      const path = `/tasks/${taskId}/labels/${labelId}`;
+      await (attach ? api.put(path) : api.delete(path));
+      loadTasks();
+    } catch (error) {
+      setMessage(
+        error.response?.data?.error?.message || "Failed to update labels"
+      );
+    }
+  };
 
   const handleChange = (e) => {
     setForm({ ...form, [e.target.name]: e.target.value });
@@ -38,52 +246,150 @@ function Dashboard() {
     e.preventDefault();
     setMessage("");
     try {
-      await api.post("/tasks", form);
-      setForm({ title: "", description: "", status: "todo" });
-      await loadTasks();
+      await api.post("/tasks", {
+        ...form,
+        dueDate: form.dueDate || null,
+      });
+      setForm({
+        title: "",
+        description: "",
+        status: "todo",
+        dueDate: "",
+        priority: "medium",
+      });
+      loadTasks();
       setMessage("Task created");
     } catch (error) {
       setMessage(error.response?.data?.message || "Failed to create task");
     }
   };
 
-  const handleUpdate = async (taskId, updates) => {
+  const handleUpdate = async (task, updates) => {
     setMessage("");
     try {
-      await api.put(`/tasks/${taskId}`, updates);
-      await loadTasks();
+      await api.patch(`/tasks/${task._id}`, {
+        ...updates,
+        version: task.__v,
+      });
+      loadTasks();
       setMessage("Task updated");
     } catch (error) {
+      if (error.response?.data?.error?.code === "TASK_VERSION_CONFLICT") {
+        loadTasks();
+        setMessage("This task was changed elsewhere; showing the latest version");
+        return;
+      }
       setMessage(error.response?.data?.message || "Failed to update task");
     }
   };
 
-  const handleDelete = async (taskId) => {
+  const handleDelete = async (taskId, cascade = false) => {
     setMessage("");
     try {
-      await api.delete(`/tasks/${taskId}`);
-      await loadTasks();
-      setMessage("Task deleted");
+      await api.delete(`/tasks/${taskId}`, {
+        params: cascade ? { cascade: true } : {},
+      });
+      loadTasks();
+      setMessage("Task moved to trash");
     } catch (error) {
+      const apiError = error.response?.data?.error;
+      if (
+        apiError?.code === "TASK_HAS_OPEN_SUBTASKS" &&
+        window.confirm("This task has open subtasks. Delete them as well?")
+      ) {
+        return handleDelete(taskId, true);
+      }
       setMessage(error.response?.data?.message || "Failed to delete task");
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
+  const handleRestore = async (taskId) => {
+    setMessage("");
+    try {
+      await api.post(`/tasks/${taskId}/restore`);
+      loadTasks();
+      setMessage("Task restored");
+    } catch (error) {
+      setMessage(
+        error.response?.data?.error?.message || "Failed to restore task"
+      );
+    }
+  };
+
+  const handlePurge = async (taskId) => {
+    if (!window.confirm("Delete this task permanently?")) {
+      return;
+    }
+    setMessage("");
+    try {
+      await api.delete(`/tasks/${taskId}/purge`);
+      loadTasks();
+      setMessage("Task permanently deleted");
+    } catch (error) {
+      setMessage(
+        error.response?.data?.error?.message || "Failed to delete task"
+      );
+    }
+  };
+
+  const handleResendVerification = async () => {
+    setMessage("");
+    try {
+      await api.post("/auth/resend-verification");
+      setMessage("Verification email sent");
+    } catch (error) {
+      setMessage(
+        error.response?.data?.message || "Failed to send verification email"
+      );
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await api.post("/auth/logout", {
+        refreshToken: localStorage.getItem("refreshToken"),
+      });
+    } catch {
+      // The local session is cleared regardless of the server response.
+    }
+    clearSession();
     window.location.href = "/login";
   };
 
+  const handleLogoutAll = async () => {
+    setMessage("");
+    try {
+      await api.post("/auth/logout-all");
+      clearSession();
+      window.location.href = "/login";
+    } catch (error) {
+      setMessage(error.response?.data?.message || "Failed to log out sessions");
+    }
+  };
+
   return (
     <div className="dashboard-page">
       <header className="dashboard-header">
         <h2>Task Dashboard</h2>
-        <button className="logout-btn" onClick={handleLogout}>
-          Logout
-        </button>
+        <div className="header-actions">
+          <button className="logout-btn" onClick={handleLogoutAll}>
+            Logout all sessions
+          </button>
+          <button className="logout-btn" onClick={handleLogout}>
+            Logout
+          </button>
+        </div>
       </header>
 
+      {user && user.emailVerified === false && (
+        <div className="message verify-banner">
+          <span>Please verify your email address.</span>
+          <button type="button" onClick={handleResendVerification}>
+            Resend email
+          </button>
+        </div>
+      )}
+
       {message && <div className="message">{message}</div>}
 
       <form className="task-form" onSubmit={handleCreate}>
@@ -105,25 +411,254 @@ function Dashboard() {
           <option value="in_progress">In Progress</option>
           <option value="done">Done</option>
         </select>
+        <select name="priority" value={form.priority} onChange={handleChange}>
+          <option value="low">Low</option>
+          <option value="medium">Medium</option>
+          <option value="high">High</option>
+          <option value="urgent">Urgent</option>
+        </select>
+        <input
+          type="date"
+          name="dueDate"
+          value={form.dueDate}
+          onChange={handleChange}
+        />
         <button type="submit">Create</button>
       </form>
 
+      <div className="task-filters">
+        <input
+          name="q"
+          value={filters.q}
+          onChange={handleFilterChange}
+          placeholder="Search tasks"
+        />
+        <select name="scope" value={filters.scope} onChange={handleFilterChange}>
+          <option value="">All my tasks</option>
+          <option value="mine">Owned by me</option>
+          <option value="assigned">Assigned to me</option>
+          <option value="shared">Shared with me</option>
+        </select>
+        <select
+          name="status"
+          value={filters.status}
+          onChange={handleFilterChange}
+        >
+          <option value="">All statuses</option>
+          <option value="todo">Todo</option>
+          <option value="in_progress">In Progress</option>
+          <option value="done">Done</option>
+        </select>
+        <select name="due" value={filters.due} onChange={handleFilterChange}>
+          <option value="">Any due date</option>
+          <option value="overdue">Overdue</option>
+          <option value="soon">Due soon</option>
+        </select>
+        <select
+          name="sort"
+          value={filters.sort}
+          onChange={handleFilterChange}
+        >
+          <option value="createdAt">Created</option>
+          <option value="updatedAt">Updated</option>
+          <option value="title">Title</option>
+          <option value="status">Status</option>
+          <option value="dueDate">Due date</option>
+          <option value="priority">Priority</option>
+        </select>
+        <select
+          name="order"
+          value={filters.order}
+          onChange={handleFilterChange}
+        >
+          <option value="desc">Descending</option>
+          <option value="asc">Ascending</option>
+        </select>
+      </div>
+
+      <div className="label-bar">
+        {labels.map((label) => (
+          <span className="label-item" key={label._id}>
+            <button
+              type="button"
+              className={
+                filters.labels.includes(label._id)
+                  ? "label-chip active"
+                  : "label-chip"
+              }
+              style={{ backgroundColor: label.color }}
+              onClick={() => toggleLabelFilter(label._id)}
+            >
+              {label.name}
+            </button>
+            <button
+              type="button"
+              className="label-remove"
+              title="Delete label"
+              onClick={() => handleDeleteLabel(label)}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {filters.labels.length > 1 && (
+          <select
+            name="labelMatch"
+            value={filters.labelMatch}
+            onChange={handleFilterChange}
+          >
+            <option value="any">Any label</option>
+            <option value="all">All labels</option>
+          </select>
+        )}
+        <form className="label-form" onSubmit={handleCreateLabel}>
+          <input
+            value={labelForm.name}
+            onChange={(e) =>
+              setLabelForm({ ...labelForm, name: e.target.value })
+            }
+            placeholder="New label"
+            maxLength={40}
+            required
+          />
+          <input
+            type="color"
+            value={labelForm.color}
+            onChange={(e) =>
+              setLabelForm({ ...labelForm, color: e.target.value })
+            }
+          />
+          <button type="submit">Add</button>
+        </form>
+      </div>
+
+      {selected.length > 0 && (
+        <div className="bulk-bar">
+          <span>{selected.length} selected</span>
+          <select
+            value=""
+            onChange={(e) =>
+              handleBulk(() => ({ op: "status", status: e.target.value }))
+            }
+          >
+            <option value="">Set status...</option>
+            <option value="todo">Todo</option>
+            <option value="in_progress">In Progress</option>
+            <option value="done">Done</option>
+          </select>
+          {labels.length > 0 && (
+            <select
+              value=""
+              onChange={(e) =>
+                handleBulk(() => ({ op: "addLabel", labelId: e.target.value }))
+              }
+            >
+              <option value="">Add label...</option>
+              {labels.map((label) => (
+                <option key={label._id} value={label._id}>
+                  {label.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            type="button"
+            className="delete-btn"
+            onClick={() =>
+              window.confirm(`Delete ${selected.length} task(s)?`) &&
+              handleBulk(() => ({ op: "delete" }))
+            }
+          >
+            Delete selected
+          </button>
+          <button type="button" onClick={() => setSelected([])}>
+            Clear
+          </button>
+        </div>
+      )}
+
       <div className="task-list">
         {tasks.map((task) => (
-          <div className="task-card" key={task._id}>
+          <div
+            className={isOverdue(task) ? "task-card overdue" : "task-card"}
+            key={task._id}
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(task._id)}
+              onChange={() => toggleSelected(task._id)}
+              aria-label={`Select ${task.title}`}
+            />
             <div className="task-info">
               <h4>{task.title}</h4>
               <p>{task.description || "No description"}</p>
+              <div className="task-meta">
+                <span className={`priority priority-${task.priority}`}>
+                  {task.priority}
+                </span>
+                {task.dueDate && (
+                  <span>
+                    Due {new Date(task.dueDate).toLocaleDateString()}
+                  </span>
+                )}
+                {task.progress?.subtasks.total > 0 && (
+                  <span>
+                    Subtasks {task.progress.subtasks.done}/
+                    {task.progress.subtasks.total}
+                  </span>
+                )}
+                {task.progress?.checklist.total > 0 && (
+                  <span>
+                    Checklist {task.progress.checklist.done}/
+                    {task.progress.checklist.total}
+                  </span>
+                )}
+              </div>
+              <div className="task-labels">
+                {task.labels?.map((label) => (
+                  <span className="label-item" key={label._id}>
+                    <button
+                      type="button"
+                      className="label-chip"
+                      style={{ backgroundColor: label.color }}
+                      title="Filter by this label"
+                      onClick={() => toggleLabelFilter(label._id)}
+                    >
+                      {label.name}
+                    </button>
+                    <button
+                      type="button"
+                      className="label-remove"
+                      title="Remove label"
+                      onClick={() =>
+                        handleTaskLabel(task._id, label._id, false)
+                      }
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                {unattachedLabels(task).length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) =>
+                      handleTaskLabel(task._id, e.target.value, true)
+                    }
+                  >
+                    <option value="">+ Label</option>
+                    {unattachedLabels(task).map((label) => (
+                      <option key={label._id} value={label._id}>
+                        {label.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
             </div>
             <select
               value={task.status}
-              onChange={(e) =>
-                handleUpdate(task._id, {
-                  title: task.title,
-                  description: task.description,
-                  status: e.target.value,
-                })
-              }
+              disabled={task.access === "viewer"}
+              onChange={(e) => handleUpdate(task, { status: e.target.value })}
             >
               <option value="todo">Todo</option>
               <option value="in_progress">In Progress</option>
@@ -131,6 +666,7 @@ function Dashboard() {
             </select>
             <button
               className="delete-btn"
+              disabled={!["owner", "admin"].includes(task.access)}
               onClick={() => handleDelete(task._id)}
             >
               Delete
@@ -138,6 +674,55 @@ function Dashboard() {
           </div>
         ))}
       </div>
+
+      {total > PAGE_SIZE && (
+        <div className="pagination">
+          <button
+            type="button"
+            disabled={page <= 1}
+            onClick={() => setPage(page - 1)}
+          >
+            Previous
+          </button>
+          <span>
+            Page {page} of {totalPages}
+          </span>
+          <button
+            type="button"
+            disabled={page >= totalPages}
+            onClick={() => setPage(page + 1)}
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      <div className="trash">
+        <button type="button" onClick={() => setShowTrash(!showTrash)}>
+          {showTrash ? "Hide trash" : "Show trash"}
+        </button>
+        {showTrash && trash.length === 0 && <p>Trash is empty</p>}
+        {showTrash &&
+          trash.map((task) => (
+            <div className="trash-item" key={task._id}>
+              <span>{task.title}</span>
+              <span className="trash-purge">
+                Deleted forever on{" "}
+                {new Date(task.purgeAfter).toLocaleDateString()}
+              </span>
+              <button type="button" onClick={() => handleRestore(task._id)}>
+                Restore
+              </button>
+              <button
+                type="button"
+                className="delete-btn"
+                onClick={() => handlePurge(task._id)}
+              >
+                Delete forever
+              </button>
+            </div>
+          ))}
+      </div>
     </div>
   );
 }
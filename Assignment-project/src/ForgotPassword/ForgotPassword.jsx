@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../api.js";
+import "../Login/Login.css";
+
+function ForgotPassword() {
+  const navigate = useNavigate();
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState("");
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+
+    if (!email) {
+      setMessage("Email is required");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await api.post("/auth/forgot-password", { email });
+      setSent(true);
+    } catch (error) {
+      setMessage(
+        error.response?.data?.error?.message || "Failed to send reset link"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="page">
+      <div className="left-section">
+        <form className="login-card" onSubmit={handleSubmit}>
+          <h2>Forgot Password</h2>
+
+          {message && <p className="error-text">{message}</p>}
+          {sent && (
+            <p className="success-text">
+              If an account exists for {email}, a reset link is on its way.
+            </p>
+          )}
+
+          <input
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            type="email"
+            placeholder="Enter your email"
+          />
+
+          <button type="submit" className="login-btn" disabled={loading}>
+            {loading ? "Sending..." : "Send reset link"}
+          </button>
+
+          <p className="switch-text" onClick={() => navigate("/login")}>
+            Back to login
+          </p>
+        </form>
+      </div>
+
+      <div className="right-section"></div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
@@ -1,6 +1,6 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
-import api, { setAuthToken } from "../api.js";
+import api, { storeSession } from "../api.js";
 import "./Login.css";
 
 function Login() {
@@ -28,10 +28,7 @@ function Login() {
         password,
       });
 
-      const { token, user } = res.data;
-      localStorage.setItem("token", token);
-      localStorage.setItem("user", JSON.stringify(user));
-      setAuthToken(token);
+      storeSession(res.data);
 
       // Optional: Clear form after success
       setEmail("");
@@ -72,7 +69,12 @@ function Login() {
             {loading ? "Logging in..." : "Login"}
           </button>
 
-          <p className="reset-text">Reset</p>
+          <p
+            className="reset-text"
+            onClick={() => navigate("/forgot-password")}
+          >
+            Forgot password?
+          </p>
           <p className="switch-text" onClick={() => navigate("/signup")}>
             Create an account
           </p>
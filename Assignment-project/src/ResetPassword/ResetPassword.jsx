@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import api from "../api.js";
+import "../Login/Login.css";
+
+function ResetPassword() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState("");
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+
+    if (!token) {
+      setMessage("Reset link is missing its token");
+      return;
+    }
+    if (password.length < 6) {
+      setMessage("Password must be at least 6 characters");
+      return;
+    }
+    if (password !== confirmPassword) {
+      setMessage("Passwords do not match");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await api.post("/auth/reset-password", { token, password });
+      setPassword("");
+      setConfirmPassword("");
+      setDone(true);
+    } catch (error) {
+      setMessage(
+        error.response?.data?.error?.message || "Failed to reset password"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="page">
+      <div className="left-section">
+        <form className="login-card" onSubmit={handleSubmit}>
+          <h2>Reset Password</h2>
+
+          {message && <p className="error-text">{message}</p>}
+          {done && (
+            <p className="success-text">
+              Your password has been updated. You can now log in.
+            </p>
+          )}
+
+          <input
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            type="password"
+            placeholder="New password"
+          />
+
+          <input
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            type="password"
+            placeholder="Confirm new password"
+          />
+
+          <button
+            type="submit"
+            className="login-btn"
+            disabled={loading || done}
+          >
+            {loading ? "Saving..." : "Set new password"}
+          </button>
+
+          <p className="switch-text" onClick={() => navigate("/login")}>
+            Back to login
+          </p>
+        </form>
+      </div>
+
+      <div className="right-section"></div>
+    </div>
+  );
+}
+
+export default ResetPassword;
@@ -1,6 +1,6 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
-import api, { setAuthToken } from "../api.js";
+import api, { storeSession } from "../api.js";
 import "./Signup.css";
 
 function Signup() {
@@ -35,10 +35,7 @@ function Signup() {
         role: formData.role,
       });
 
-      const { token, user } = res.data;
-      localStorage.setItem("token", token);
-      localStorage.setItem("user", JSON.stringify(user));
-      setAuthToken(token);
+      storeSession(res.data);
       navigate("/dashboard");
     } catch (error) {
       setMessage(error.response?.data?.message || "Signup failed");
@@ -0,0 +1,72 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import api from "../api.js";
+import "../Login/Login.css";
+
+function VerifyEmail() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const [status, setStatus] = useState(token ? "verifying" : "missing");
+  const [message, setMessage] = useState("");
+  // Tokens are single-use, so make sure StrictMode's double effect run
+  // does not send the request twice.
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) {
+      return;
+    }
+    requested.current = true;
+    api
+      .get("/auth/verify-email", { params: { token } })
+      .then(() => {
+        const user = JSON.parse(localStorage.getItem("user") || "null");
+        if (user) {
+          localStorage.setItem(
+            "user",
+            JSON.stringify({ ...user, emailVerified: true })
+          );
+        }
+        setStatus("verified");
+      })
+      .catch((error) => {
+        setMessage(
+          error.response?.data?.error?.message || "Verification failed"
+        );
+        setStatus("failed");
+      });
+  }, [token]);
+
+  return (
+    <div className="page">
+      <div className="left-section">
+        <div className="login-card">
+          <h2>Verify Email</h2>
+
+          {status === "verifying" && <p>Verifying your email...</p>}
+          {status === "verified" && (
+            <p className="success-text">Your email address is verified.</p>
+          )}
+          {status === "failed" && <p className="error-text">{message}</p>}
+          {status === "missing" && (
+            <p className="error-text">Verification link is missing its token</p>
+          )}
+
+          <p
+            className="switch-text"
+            onClick={() =>
+              navigate(localStorage.getItem("token") ? "/dashboard" : "/login")
+            }
+          >
+            Continue
+          </p>
+        </div>
+      </div>
+
+      <div className="right-section"></div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
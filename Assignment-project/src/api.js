@@ -15,4 +15,69 @@ export const setAuthToken = (token) => {
   }
 };
 
+export const storeSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem("token", token);
+  localStorage.setItem("refreshToken", refreshToken);
+  if (user) {
+    localStorage.setItem("user", JSON.stringify(user));
+  }
+  setAuthToken(token);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+  localStorage.removeItem("user");
+  setAuthToken(null);
+};
+
+setAuthToken(localStorage.getItem("token"));
+
+// Requests that must never trigger a refresh attempt themselves.
+const noRefreshPaths = ["/auth/login", "/auth/register", "/auth/refresh"];
+let refreshRequest = null;
+
+const refreshSession = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem("refreshToken");
+    refreshRequest = api
+      .post("/auth/refresh", { refreshToken })
+      .then((res) => {
+        storeSession(res.data);
+        return res.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+    const canRefresh =
+      error.response?.status === 401 &&
+      original &&
+      !original._retried &&
+      localStorage.getItem("refreshToken") &&
+      !noRefreshPaths.includes(original.url);
+    if (!canRefresh) {
+      return Promise.reject(error);
+    }
+
+    original._retried = true;
+    try {
+      const token = await refreshSession();
+      original.headers.Authorization = `Bearer ${token}`;
+      return api(original);
+    } catch (refreshError) {
+      clearSession();
+      window.location.href = "/login";
+      return Promise.reject(refreshError);
+    }
+  }
+);
+
 export default api;
@@ -1,15 +1,60 @@
 import { Router } from "express";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
 import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import AuditLog from "../models/AuditLog.js";
+import Task from "../models/Task.js";
+import Experience from "../models/Experience.js";
+import Booking from "../models/Booking.js";
 import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
-import { sendError } from "../utils/errorResponse.js";
+import rateLimit from "../middleware/rateLimiter.js";
+import { sendError, sendTooManyRequests } from "../utils/errorResponse.js";
+import {
+  issueSession,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+  hashToken,
+} from "../utils/tokens.js";
+import { consumeUserToken, createUserToken } from "../utils/userTokens.js";
+import { buildAppUrl, sendMail } from "../utils/mailer.js";
+import {
+  clearLoginFailures,
+  getLockoutSeconds,
+  recordLoginFailure,
+} from "../utils/accountLockout.js";
+import { parsePagination } from "../utils/pagination.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { recordAudit } from "../utils/audit.js";
 
 const router = Router();
 const saltRounds = 10;
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-this";
 
 const allowedSignupRoles = new Set(["user", "host"]);
+const allowedRoles = ["user", "host", "admin"];
+const passwordResetTtlMinutes = Number(
+  process.env.PASSWORD_RESET_TTL_MINUTES ?? 30
+);
+const emailVerificationTtlMinutes = Number(
+  process.env.EMAIL_VERIFICATION_TTL_MINUTES ?? 24 * 60
+);
+
+const loginLimiter = rateLimit({
+  name: "login",
+  windowMs: 15 * 60000,
+  max: Number(process.env.LOGIN_RATE_LIMIT_MAX ?? 20),
+});
+// /auth/register and /auth/signup share one budget.
+const registerLimiter = rateLimit({
+  name: "register",
+  windowMs: 60 * 60000,
+  max: Number(process.env.REGISTER_RATE_LIMIT_MAX ?? 5),
+});
+const authEmailLimiter = rateLimit({
+  name: "auth-email",
+  windowMs: 60 * 60000,
+  max: Number(process.env.AUTH_EMAIL_RATE_LIMIT_MAX ?? 5),
+});
 
 const sanitizeEmail = (email = "") => email.toLowerCase().trim();
 
@@ -39,6 +84,64 @@ const validateRegister = ({ email, password, role }) => {
   return null;
 };
 
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(
+    user._id,
+    "email_verification",
+    emailVerificationTtlMinutes
+  );
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Confirm your email address by opening the link below:",
+      buildAppUrl("/verify-email", { token }),
+    ].join("\n"),
+  });
+};
+
+const sendPasswordResetEmail = async (user, intro) => {
+  const token = await createUserToken(
+    user._id,
+    "password_reset",
+    passwordResetTtlMinutes
+  );
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      intro,
+      buildAppUrl("/reset-password", { token }),
+      "",
+      `The link expires in ${passwordResetTtlMinutes} minutes and can only be used once.`,
+    ].join("\n"),
+  });
+};
+
+// Audit entries for actions on a user account. The actor defaults to the
+// signed-in user; auth routes pass the account itself instead.
+const auditUser = (req, action, user, changes = {}, actorId) =>
+  recordAudit(
+    req,
+    {
+      action: `user.${action}`,
+      entityType: "user",
+      entityId: user._id,
+      ...changes,
+    },
+    actorId === undefined ? {} : { actorId }
+  );
+
+const toUserSummary = (user) => ({
+  id: user._id,
+  role: user.role,
+  emailVerified: user.emailVerified,
+});
+
 const validateLogin = ({ email, password }) => {
   if (!email || !password) {
     return "Email and password are required";
@@ -78,7 +181,10 @@ const validateLogin = ({ email, password }) => {
  *                 enum: [user, host]
  *     responses:
  *       201:
- *         description: User created
+ *         description: >
+ *           User created; a verification email is sent. verificationEmailSent
+ *           is false when it could not be, and POST /auth/resend-verification
+ *           sends a new one.
  *       400:
  *         description: Validation error
  */
@@ -109,18 +215,35 @@ const handleSignup = async (req, res) => {
     });
 
     const savedUser = await newUser.save();
-    const token = jwt.sign(
-      { userId: savedUser._id, email: savedUser.email, role: savedUser.role },
-      JWT_SECRET,
-      { expiresIn: "7d" }
+    const session = await issueSession(savedUser);
+    // The account already exists, so a mail failure must not turn into a
+    // 500; the user can ask for another link instead.
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(savedUser);
+    } catch (error) {
+      verificationEmailSent = false;
+      console.log("Verification email failed", error);
+    }
+    await auditUser(
+      req,
+      "create",
+      savedUser,
+      { after: savedUser },
+      savedUser._id
     );
 
     res.status(201).json({
-      token,
-      user: {
-        id: savedUser._id,
-        role: savedUser.role,
-      },
+      ...session,
+      user: toUserSummary(savedUser),
+      verificationEmailSent,
+      ...(verificationEmailSent
+        ? {}
+        : {
+            message:
+              "Account created, but the verification email could not be " +
+              "sent; request a new one with POST /auth/resend-verification",
+          }),
     });
   } catch (error) {
     return sendError(res, 500, "USER_CREATE_FAILED", "Error creating user", [
@@ -129,7 +252,7 @@ const handleSignup = async (req, res) => {
   }
 };
 
-router.post("/auth/register", handleSignup);
+router.post("/auth/register", registerLimiter, handleSignup);
 
 /**
  * @swagger
@@ -154,11 +277,11 @@ router.post("/auth/register", handleSignup);
  *                 enum: [user, host]
  *     responses:
  *       201:
- *         description: User created
+ *         description: User created (see /auth/register for verificationEmailSent)
  *       400:
  *         description: Validation error
  */
-router.post("/auth/signup", handleSignup);
+router.post("/auth/signup", registerLimiter, handleSignup);
 
 /**
  * @swagger
@@ -180,11 +303,15 @@ router.post("/auth/signup", handleSignup);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful (access token and refresh token)
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account deactivated or password reset required
+ *       429:
+ *         description: Rate limited or account locked (see Retry-After)
  */
-router.post("/auth/login", async (req, res) => {
+router.post("/auth/login", loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
     const validationError = validateLogin({ email, password });
@@ -193,28 +320,57 @@ router.post("/auth/login", async (req, res) => {
     }
 
     const normalizedEmail = sanitizeEmail(email);
-    const user = await User.findOne({ email: normalizedEmail });
-    if (!user) {
-      return sendError(res, 401, "AUTH_INVALID", "Invalid credentials");
+    const lockoutSeconds = await getLockoutSeconds(normalizedEmail);
+    if (lockoutSeconds) {
+      return sendTooManyRequests(
+        res,
+        lockoutSeconds,
+        "ACCOUNT_LOCKED",
+        "Too many failed login attempts, account temporarily locked"
+      );
     }
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const user = await User.findOne({ email: normalizedEmail });
+    const isPasswordValid =
+      user && (await bcrypt.compare(password, user.password));
     if (!isPasswordValid) {
+      // Unknown emails count too, so lockouts do not reveal which exist.
+      const lockedFor = await recordLoginFailure(normalizedEmail);
+      if (lockedFor) {
+        return sendTooManyRequests(
+          res,
+          lockedFor,
+          "ACCOUNT_LOCKED",
+          "Too many failed login attempts, account temporarily locked"
+        );
+      }
       return sendError(res, 401, "AUTH_INVALID", "Invalid credentials");
     }
+    await clearLoginFailures(normalizedEmail);
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    if (!user.isActive) {
+      return sendError(
+        res,
+        403,
+        "ACCOUNT_DEACTIVATED",
+        "Account is deactivated"
+      );
+    }
+    if (user.passwordResetRequired) {
+      return sendError(
+        res,
+        403,
+        "PASSWORD_RESET_REQUIRED",
+        "A password reset is required; check your email for the reset link"
+      );
+    }
+
+    const session = await issueSession(user);
+    await auditUser(req, "login", user, {}, user._id);
 
     res.status(200).json({
-      token,
-      user: {
-        id: user._id,
-        role: user.role,
-      },
+      ...session,
+      user: toUserSummary(user),
     });
   } catch (error) {
     return sendError(res, 500, "LOGIN_FAILED", "Error logging in", [
@@ -223,6 +379,415 @@ router.post("/auth/login", async (req, res) => {
   }
 });
 
+const refreshErrorMessages = {
+  AUTH_REFRESH_INVALID: "Invalid refresh token",
+  AUTH_REFRESH_EXPIRED: "Refresh token expired",
+  AUTH_REFRESH_REUSED: "Refresh token reuse detected; session revoked",
+};
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens rotate on every use. Presenting an already rotated
+ *       token revokes every token of that login session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Refresh token is required"
+      );
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+    if (result.error) {
+      return sendError(
+        res,
+        401,
+        result.error,
+        refreshErrorMessages[result.error]
+      );
+    }
+
+    res.status(200).json({
+      ...result.session,
+      user: toUserSummary(result.user),
+    });
+  } catch (error) {
+    return sendError(res, 500, "REFRESH_FAILED", "Error refreshing token", [
+      error.message,
+    ]);
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out the session that owns the refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post("/auth/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Refresh token is required"
+      );
+    }
+
+    const existing = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+    if (existing) {
+      await revokeSession(existing.family, "logout");
+      await auditUser(
+        req,
+        "logout",
+        { _id: existing.userId },
+        {},
+        existing.userId
+      );
+    }
+
+    res.status(200).json({ message: "Logged out" });
+  } catch (error) {
+    return sendError(res, 500, "LOGOUT_FAILED", "Error logging out", [
+      error.message,
+    ]);
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out every session of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post("/auth/logout-all", requireAuth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId);
+    await auditUser(req, "logout_all", { _id: req.user.userId });
+    res.status(200).json({ message: "All sessions logged out" });
+  } catch (error) {
+    return sendError(res, 500, "LOGOUT_FAILED", "Error logging out", [
+      error.message,
+    ]);
+  }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: >
+ *       Always responds with 200 so the endpoint cannot be used to find out
+ *       which emails are registered.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post("/auth/forgot-password", authEmailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Invalid email format");
+    }
+
+    const user = await User.findOne({ email: sanitizeEmail(email) });
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(
+        user,
+        "Use the link below to choose a new password:"
+      );
+      await auditUser(req, "password_reset_request", user, {}, null);
+    }
+
+    res.status(200).json({
+      message: "If the account exists, a reset link has been sent",
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "PASSWORD_RESET_REQUEST_FAILED",
+      "Error requesting password reset",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Signs the user out of every existing session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post("/auth/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || typeof token !== "string") {
+      return sendError(res, 400, "VALIDATION_ERROR", "Reset token is required");
+    }
+    if (!password || password.length < 6) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Password must be at least 6 characters"
+      );
+    }
+
+    const resetToken = await consumeUserToken(token, "password_reset");
+    if (!resetToken) {
+      return sendError(
+        res,
+        400,
+        "RESET_TOKEN_INVALID",
+        "Reset token is invalid or expired"
+      );
+    }
+
+    const protectedPassword = await bcrypt.hash(password, saltRounds);
+    const user = await User.findByIdAndUpdate(resetToken.userId, {
+      password: protectedPassword,
+      passwordResetRequired: false,
+    });
+    if (!user) {
+      return sendError(
+        res,
+        400,
+        "RESET_TOKEN_INVALID",
+        "Reset token is invalid or expired"
+      );
+    }
+    await revokeAllSessions(user._id, "password_reset");
+    await auditUser(
+      req,
+      "password_reset",
+      user,
+      {
+        before: { passwordResetRequired: user.passwordResetRequired },
+        after: { passwordResetRequired: false },
+      },
+      user._id
+    );
+
+    res.status(200).json({ message: "Password updated" });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "PASSWORD_RESET_FAILED",
+      "Error resetting password",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   get:
+ *     summary: Confirm an email address with the emailed token
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.get("/auth/verify-email", async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token || typeof token !== "string") {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Verification token is required"
+      );
+    }
+
+    const verificationToken = await consumeUserToken(
+      token,
+      "email_verification"
+    );
+    if (!verificationToken) {
+      return sendError(
+        res,
+        400,
+        "VERIFICATION_TOKEN_INVALID",
+        "Verification token is invalid or expired"
+      );
+    }
+
+    const user = await User.findByIdAndUpdate(
+      verificationToken.userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return sendError(
+        res,
+        400,
+        "VERIFICATION_TOKEN_INVALID",
+        "Verification token is invalid or expired"
+      );
+    }
+    await auditUser(
+      req,
+      "verify_email",
+      user,
+      {
+        before: { emailVerified: false },
+        after: { emailVerified: true },
+      },
+      user._id
+    );
+
+    res.status(200).json({
+      message: "Email verified",
+      user: { id: user._id, emailVerified: user.emailVerified },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "EMAIL_VERIFICATION_FAILED",
+      "Error verifying email",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email to the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ */
+router.post("/auth/resend-verification", requireAuth, authEmailLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return sendError(res, 404, "USER_NOT_FOUND", "User not found");
+    }
+    if (user.emailVerified) {
+      return sendError(
+        res,
+        400,
+        "EMAIL_ALREADY_VERIFIED",
+        "Email is already verified"
+      );
+    }
+
+    await sendVerificationEmail(user);
+    await auditUser(req, "verification_resend", user);
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "VERIFICATION_RESEND_FAILED",
+      "Error sending verification email",
+      [error.message]
+    );
+  }
+});
+
 /**
  * @swagger
  * tags:
@@ -233,10 +798,34 @@ router.post("/auth/login", async (req, res) => {
  * @swagger
  * /users:
  *   get:
- *     summary: List users (admin only)
+ *     summary: Search and list users (admin only)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Matches name or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, host, admin]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
  *         description: Users fetched
@@ -245,10 +834,57 @@ router.post("/auth/login", async (req, res) => {
  */
 router.get("/users", requireAuth, requireRole("admin"), async (req, res) => {
   try {
-    const users = await User.find({}, "-password");
+    const { q, role, active } = req.query;
+    if (role && !allowedRoles.includes(role)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Role must be user, host, or admin"
+      );
+    }
+    if (active && !["true", "false"].includes(active)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Active must be true or false"
+      );
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(`${q}`.trim()), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) {
+      filter.role = role;
+    }
+    if (active) {
+      filter.isActive = active === "true";
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter, "-password")
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      User.countDocuments(filter),
+    ]);
+
     res.status(200).json({
       message: "Users fetched successfully",
       users,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
     });
   } catch (error) {
     return sendError(res, 500, "USERS_FETCH_FAILED", "Error fetching users", [
@@ -257,4 +893,289 @@ router.get("/users", requireAuth, requireRole("admin"), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Get a user with activity counts (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User fetched
+ *       404:
+ *         description: User not found
+ */
+router.get("/users/:id", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id, "-password");
+    if (!user) {
+      return sendError(res, 404, "USER_NOT_FOUND", "User not found");
+    }
+
+    const [tasks, experiences, bookings, adminActions] = await Promise.all([
+      Task.countDocuments({ owner: user._id }),
+      Experience.countDocuments({ createdBy: user._id }),
+      Booking.countDocuments({ userId: user._id }),
+      // Actions taken on the account by someone else, i.e. admins.
+      AuditLog.find({
+        entityType: "user",
+        entityId: user._id,
+        actor: { $ne: user._id },
+      })
+        .populate("actor", "name email")
+        .sort({ created_at: -1 })
+        .limit(20),
+    ]);
+
+    res.status(200).json({
+      message: "User fetched",
+      user,
+      counts: { tasks, experiences, bookings },
+      adminActions,
+    });
+  } catch (error) {
+    return sendError(res, 500, "USER_FETCH_FAILED", "Error fetching user", [
+      error.message,
+    ]);
+  }
+});
+
+// Shared lookup for admin actions on another account. Admins cannot act on
+// themselves so they cannot lock themselves out.
+const loadTargetUser = async (req, res) => {
+  if (req.params.id === req.user.userId) {
+    sendError(
+      res,
+      400,
+      "ADMIN_SELF_ACTION",
+      "Admins cannot perform this action on their own account"
+    );
+    return null;
+  }
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    sendError(res, 404, "USER_NOT_FOUND", "User not found");
+    return null;
+  }
+  return user;
+};
+
+/**
+ * @swagger
+ * /users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, host, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       404:
+ *         description: User not found
+ */
+router.patch("/users/:id/role", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!allowedRoles.includes(role)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Role must be user, host, or admin"
+      );
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const before = user.toObject();
+    user.role = role;
+    await user.save();
+    await auditUser(req, "role_change", user, { before, after: user });
+
+    res.status(200).json({
+      message: "Role updated",
+      user: toUserSummary(user),
+    });
+  } catch (error) {
+    return sendError(res, 500, "ROLE_UPDATE_FAILED", "Error updating role", [
+      error.message,
+    ]);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate an account and revoke its sessions (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       404:
+ *         description: User not found
+ */
+router.patch("/users/:id/deactivate", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const before = user.toObject();
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+    await revokeAllSessions(user._id);
+    await auditUser(req, "deactivate", user, { before, after: user });
+
+    res.status(200).json({ message: "User deactivated" });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "USER_DEACTIVATE_FAILED",
+      "Error deactivating user",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/reactivate:
+ *   patch:
+ *     summary: Reactivate an account (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       404:
+ *         description: User not found
+ */
+router.patch("/users/:id/reactivate", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const before = user.toObject();
+    user.isActive = true;
+    user.deactivatedAt = null;
+    await user.save();
+    await auditUser(req, "reactivate", user, { before, after: user });
+
+    res.status(200).json({ message: "User reactivated" });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "USER_REACTIVATE_FAILED",
+      "Error reactivating user",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/force-password-reset:
+ *   post:
+ *     summary: Require a password reset and email a reset link (admin only)
+ *     description: >
+ *       Revokes every session of the user and blocks login until the password
+ *       has been reset through the emailed link.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Password reset required
+ *       404:
+ *         description: User not found
+ */
+router.post("/users/:id/force-password-reset", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const before = user.toObject();
+    user.passwordResetRequired = true;
+    await user.save();
+    await revokeAllSessions(user._id, "password_reset");
+    await sendPasswordResetEmail(
+      user,
+      "An administrator requires you to choose a new password before you can log in again:"
+    );
+    await auditUser(req, "force_password_reset", user, {
+      before,
+      after: user,
+    });
+
+    res.status(200).json({ message: "Password reset required" });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "FORCE_PASSWORD_RESET_FAILED",
+      "Error forcing password reset",
+      [error.message]
+    );
+  }
+});
+
 export default router;
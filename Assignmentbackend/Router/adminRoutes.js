@@ -0,0 +1,221 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import AuditLog, { AUDIT_ENTITY_TYPES } from "../models/AuditLog.js";
+import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
+import { sendError } from "../utils/errorResponse.js";
+import { parsePagination } from "../utils/pagination.js";
+import { toCsv } from "../utils/csv.js";
+
+const router = Router();
+
+const auditExportLimit = Number(process.env.AUDIT_EXPORT_LIMIT ?? 10000);
+const auditCsvColumns = [
+  "created_at",
+  "actor",
+  "actorEmail",
+  "action",
+  "entityType",
+  "entityId",
+  "ip",
+  "changes",
+  "details",
+];
+
+const parseRangeDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const buildAuditFilter = (query) => {
+  const { actor, action, entityType, entityId, from, to } = query;
+  const filter = {};
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) {
+      return { error: "Actor must be a user id" };
+    }
+    filter.actor = actor;
+  }
+  if (action) {
+    const actions = `${action}`
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (actions.length) {
+      filter.action = { $in: actions };
+    }
+  }
+  if (entityType) {
+    if (!AUDIT_ENTITY_TYPES.includes(entityType)) {
+      return {
+        error: `Entity type must be one of ${AUDIT_ENTITY_TYPES.join(", ")}`,
+      };
+    }
+    filter.entityType = entityType;
+  }
+  if (entityId) {
+    if (!mongoose.isValidObjectId(entityId)) {
+      return { error: "Entity id must be an id" };
+    }
+    filter.entityId = entityId;
+  }
+
+  const fromDate = parseRangeDate(from);
+  const toDate = parseRangeDate(to);
+  if (from && !fromDate) {
+    return { error: "Invalid from datetime" };
+  }
+  if (to && !toDate) {
+    return { error: "Invalid to datetime" };
+  }
+  if (fromDate || toDate) {
+    filter.created_at = {};
+    if (fromDate) {
+      filter.created_at.$gte = fromDate;
+    }
+    if (toDate) {
+      filter.created_at.$lte = toDate;
+    }
+  }
+  return { filter };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administration tools
+ */
+/**
+ * @swagger
+ * /admin/audit:
+ *   get:
+ *     summary: Search the audit log (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User id of whoever performed the action
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Comma-separated actions, e.g. task.delete,user.role_change
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [user, task, experience, booking, review, waitlist, session, promo_code]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: csv exports every match up to AUDIT_EXPORT_LIMIT and ignores paging
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit entries fetched
+ *         content:
+ *           application/json: {}
+ *           text/csv: {}
+ *       403:
+ *         description: Access denied
+ */
+router.get("/audit", requireAuth, requireRole("admin"), async (req, res) => {
+  try {
+    const { format = "json" } = req.query;
+    if (!["json", "csv"].includes(format)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Format must be json or csv"
+      );
+    }
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return sendError(res, 400, "VALIDATION_ERROR", error);
+    }
+
+    if (format === "csv") {
+      const entries = await AuditLog.find(filter)
+        .populate("actor", "email")
+        .sort({ created_at: -1 })
+        .limit(auditExportLimit)
+        .lean();
+      const rows = entries.map((entry) => ({
+        ...entry,
+        actor: entry.actor?._id,
+        actorEmail: entry.actor?.email,
+      }));
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", 'attachment; filename="audit-log.csv"');
+      return res.status(200).send(toCsv(auditCsvColumns, rows));
+    }
+
+    const pagination = parsePagination(req.query, {
+      defaultLimit: 50,
+      maxLimit: 200,
+    });
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate("actor", "name email")
+        .sort({ created_at: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Audit log fetched",
+      entries,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "AUDIT_FETCH_FAILED",
+      "Error fetching audit log",
+      [error.message]
+    );
+  }
+});
+
+export default router;
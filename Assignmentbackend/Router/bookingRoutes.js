@@ -0,0 +1,203 @@
+import { Router } from "express";
+import Booking from "../models/Booking.js";
+import ExperienceSession from "../models/ExperienceSession.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { sendError } from "../utils/errorResponse.js";
+import { parsePagination } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { offerFreedSeats } from "../utils/waitlist.js";
+import { releasePromoCode } from "../utils/pricing.js";
+
+const router = Router();
+
+const cancelCutoffHours = Number(process.env.BOOKING_CANCEL_CUTOFF_HOURS ?? 24);
+
+const isBookerOrAdmin = (booking, user) =>
+  booking.userId.toString() === user.userId || user.role === "admin";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bookings
+ *   description: Booking lifecycle
+ */
+/**
+ * @swagger
+ * /bookings/me:
+ *   get:
+ *     summary: List the caller's bookings
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [confirmed, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bookings fetched
+ */
+router.get("/me", requireAuth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !["confirmed", "cancelled"].includes(status)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Status must be confirmed or cancelled"
+      );
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const filter = { userId: req.user.userId };
+    if (status) {
+      filter.status = status;
+    }
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .populate("experienceId")
+        .populate("sessionId", "startTime status")
+        .sort({ created_at: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Booking.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Bookings fetched",
+      bookings,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "BOOKINGS_FETCH_FAILED",
+      "Error fetching bookings",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /bookings/{id}:
+ *   delete:
+ *     summary: Cancel a booking
+ *     description: >
+ *       Bookers can cancel until BOOKING_CANCEL_CUTOFF_HOURS before the
+ *       experience starts. Admins are not bound by the cutoff. A promo code
+ *       used on the booking gets its use back.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Booking cancelled
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking already cancelled or past the cutoff
+ */
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate(
+      "sessionId",
+      "startTime"
+    );
+    if (!booking) {
+      return sendError(res, 404, "BOOKING_NOT_FOUND", "Booking not found");
+    }
+    if (!isBookerOrAdmin(booking, req.user)) {
+      return sendError(res, 403, "BOOKING_FORBIDDEN", "Access denied");
+    }
+    if (booking.status === "cancelled") {
+      return sendError(
+        res,
+        409,
+        "BOOKING_ALREADY_CANCELLED",
+        "Booking is already cancelled"
+      );
+    }
+
+    const startTime = booking.sessionId?.startTime;
+    if (startTime && req.user.role !== "admin") {
+      const cutoff = startTime.getTime() - cancelCutoffHours * 60 * 60 * 1000;
+      if (Date.now() > cutoff) {
+        return sendError(
+          res,
+          409,
+          "BOOKING_CANCEL_CUTOFF",
+          `Bookings can only be cancelled up to ${cancelCutoffHours} hours before the start time`
+        );
+      }
+    }
+
+    const cancelled = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: "confirmed" },
+      { status: "cancelled", cancelledAt: new Date() },
+      { new: true }
+    );
+    if (!cancelled) {
+      return sendError(
+        res,
+        409,
+        "BOOKING_ALREADY_CANCELLED",
+        "Booking is already cancelled"
+      );
+    }
+
+    await ExperienceSession.releaseSeats(cancelled.sessionId, cancelled.seats);
+    if (cancelled.pricing?.promoCodeId) {
+      await releasePromoCode(cancelled.pricing.promoCodeId);
+    }
+    await offerFreedSeats(cancelled.sessionId);
+    await recordAudit(req, {
+      action: "booking.cancel",
+      entityType: "booking",
+      entityId: cancelled._id,
+      before: booking,
+      after: cancelled,
+    });
+
+    res.status(200).json({ message: "Booking cancelled", booking: cancelled });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "BOOKING_CANCEL_FAILED",
+      "Error cancelling booking",
+      [error.message]
+    );
+  }
+});
+
+export default router;
@@ -1,8 +1,44 @@
 import { Router } from "express";
-import Experience from "../models/Experience.js";
+import mongoose from "mongoose";
+import Experience, {
+  DEFAULT_CURRENCY,
+  STATUS_TRANSITIONS,
+} from "../models/Experience.js";
 import Booking from "../models/Booking.js";
-import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
+import ExperienceSession from "../models/ExperienceSession.js";
+import WaitlistEntry, {
+  ACTIVE_WAITLIST_STATUSES,
+} from "../models/WaitlistEntry.js";
+import {
+  requireAuth,
+  requireRole,
+  requireVerifiedEmail,
+} from "../middleware/authMiddleware.js";
 import { sendError } from "../utils/errorResponse.js";
+import { parsePagination } from "../utils/pagination.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import { purgeExperiences } from "../utils/trash.js";
+import { TRASH_RETENTION_DAYS } from "../models/plugins/softDelete.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  hasWaitingEntries,
+  offerFreedSeats,
+  offerFreedSeatsForExperience,
+  releaseOffer,
+  waitlistPosition,
+} from "../utils/waitlist.js";
+import {
+  buildSessionDates,
+  createSessions,
+  notifyAttendees,
+  resolveSession,
+} from "../utils/sessions.js";
+import {
+  normalizeCurrency,
+  quoteBooking,
+  redeemPromoCode,
+  releasePromoCode,
+} from "../utils/pricing.js";
 
 const router = Router();
 
@@ -12,7 +48,80 @@ const isHostOrAdmin = (user) =>
 const isOwnerOrAdmin = (experience, user) =>
   experience.createdBy.toString() === user.userId || user.role === "admin";
 
-const validateExperienceInput = ({ title, location, price, startTime }) => {
+const auditExperience = (req, action, experience, changes = {}) =>
+  recordAudit(req, {
+    action: `experience.${action}`,
+    entityType: "experience",
+    entityId: experience._id,
+    ...changes,
+  });
+
+const loadTrashedExperience = async (req, res) => {
+  const experience = await Experience.findOne({
+    _id: req.params.id,
+    deletedAt: { $type: "date" },
+  });
+  if (!experience) {
+    sendError(
+      res,
+      404,
+      "EXPERIENCE_NOT_FOUND",
+      "Experience not found in the trash"
+    );
+    return null;
+  }
+  if (!isOwnerOrAdmin(experience, req.user)) {
+    sendError(res, 403, "EXPERIENCE_FORBIDDEN", "Access denied");
+    return null;
+  }
+  return experience;
+};
+
+const toPoint = (lat, lng) => {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (
+    lat === null ||
+    lng === null ||
+    `${lat}`.trim() === "" ||
+    `${lng}`.trim() === "" ||
+    !Number.isFinite(latitude) ||
+    !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return null;
+  }
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+// Reads `coordinates: { lat, lng }` from a request body. null clears them.
+const parseCoordinates = (coordinates) => {
+  if (coordinates === null) {
+    return { geo: null };
+  }
+  const geo =
+    typeof coordinates === "object"
+      ? toPoint(coordinates.lat, coordinates.lng)
+      : null;
+  if (!geo) {
+    return {
+      error: "Coordinates must be { lat, lng } within valid ranges",
+    };
+  }
+  return { geo };
+};
+
+const parseInteger = (value) =>
+  typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+const validateExperienceInput = ({
+  title,
+  location,
+  price,
+  startTime,
+  capacity,
+}) => {
   if (!title) {
     return "Title is required";
   }
@@ -32,9 +141,300 @@ const validateExperienceInput = ({ title, location, price, startTime }) => {
   if (Number.isNaN(date.getTime())) {
     return "Start time must be a valid datetime";
   }
+  if (capacity === undefined || capacity === null) {
+    return "Capacity is required";
+  }
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    return "Capacity must be an integer >= 1";
+  }
+  return null;
+};
+
+// Builds a $set for PATCH from whichever fields were sent.
+const buildExperienceUpdates = (body) => {
+  const updates = {};
+  if (body.title !== undefined) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      return { error: "Title cannot be empty" };
+    }
+    updates.title = body.title.trim();
+  }
+  if (body.description !== undefined) {
+    updates.description = `${body.description ?? ""}`.trim();
+  }
+  if (body.location !== undefined) {
+    if (typeof body.location !== "string" || !body.location.trim()) {
+      return { error: "Location cannot be empty" };
+    }
+    updates.location = body.location.trim();
+  }
+  if (body.coordinates !== undefined) {
+    const { geo, error } = parseCoordinates(body.coordinates);
+    if (error) {
+      return { error };
+    }
+    updates.geo = geo;
+  }
+  if (body.price !== undefined) {
+    const price = parseInteger(body.price);
+    if (!Number.isInteger(price) || price < 0) {
+      return { error: "Price must be a non-negative integer" };
+    }
+    updates.price = price;
+  }
+  if (body.currency !== undefined) {
+    const currency = normalizeCurrency(body.currency);
+    if (!currency) {
+      return { error: "Currency must be a three-letter code like USD" };
+    }
+    updates.currency = currency;
+  }
+  const startTime = body.start_time ?? body.startTime;
+  if (startTime !== undefined) {
+    const date = new Date(startTime);
+    if (!startTime || Number.isNaN(date.getTime())) {
+      return { error: "Start time must be a valid datetime" };
+    }
+    updates.startTime = date;
+  }
+  if (body.capacity !== undefined) {
+    const capacity = parseInteger(body.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      return { error: "Capacity must be an integer >= 1" };
+    }
+    updates.capacity = capacity;
+  }
+  if (Object.keys(updates).length === 0) {
+    return { error: "No updatable fields provided" };
+  }
+  return { updates };
+};
+
+// Returns null when the user may move the experience from `from` to
+// targetStatus, otherwise the error to send. `from` pins the source status so
+// endpoints sharing a target (unpublish and unblock) cannot stand in for each
+// other.
+const checkTransition = (experience, from, targetStatus, user) => {
+  const allowedActors = from.includes(experience.status)
+    ? STATUS_TRANSITIONS[experience.status]?.[targetStatus]
+    : null;
+  if (!allowedActors) {
+    return {
+      status: 409,
+      code: "INVALID_STATUS_TRANSITION",
+      message: `Cannot change status from ${experience.status} to ${targetStatus}`,
+    };
+  }
+  const isOwner = experience.createdBy.toString() === user.userId;
+  const permitted =
+    (isOwner && allowedActors.includes("owner")) ||
+    (user.role === "admin" && allowedActors.includes("admin"));
+  if (!permitted) {
+    return {
+      status: 403,
+      code: "EXPERIENCE_FORBIDDEN",
+      message: "Access denied",
+    };
+  }
   return null;
 };
 
+const transitionExperience =
+  (targetStatus, { from, action, message, errorCode, errorMessage }) =>
+  async (req, res) => {
+    try {
+      const experience = await Experience.findById(req.params.id);
+      if (!experience) {
+        return sendError(
+          res,
+          404,
+          "EXPERIENCE_NOT_FOUND",
+          "Experience not found"
+        );
+      }
+      if (!isOwnerOrAdmin(experience, req.user)) {
+        return sendError(res, 403, "EXPERIENCE_FORBIDDEN", "Access denied");
+      }
+      const transitionError = checkTransition(
+        experience,
+        from,
+        targetStatus,
+        req.user
+      );
+      if (transitionError) {
+        return sendError(
+          res,
+          transitionError.status,
+          transitionError.code,
+          transitionError.message
+        );
+      }
+
+      // Only apply the change if nobody moved the status in the meantime.
+      const updated = await Experience.findOneAndUpdate(
+        { _id: experience._id, status: experience.status },
+        { status: targetStatus },
+        { new: true }
+      );
+      if (!updated) {
+        return sendError(
+          res,
+          409,
+          "EXPERIENCE_STATUS_CHANGED",
+          "Experience status changed, please retry"
+        );
+      }
+
+      await auditExperience(req, action, updated, {
+        before: experience,
+        after: updated,
+      });
+      if (targetStatus === "published") {
+        await offerFreedSeatsForExperience(updated._id);
+      }
+
+      res.status(200).json({ message, experience: updated });
+    } catch (error) {
+      return sendError(res, 500, errorCode, errorMessage, [error.message]);
+    }
+  };
+
+const maxSearchLength = 200;
+const experienceSortFields = {
+  startTime: "startTime",
+  rating: "ratingAverage",
+  reviewCount: "ratingCount",
+};
+const defaultRadiusKm = 10;
+const maxRadiusKm = 500;
+
+// Parses `near=lat,lng&radiusKm=` into a $geoNear point and distance in metres.
+const parseNear = ({ near, radiusKm }) => {
+  if (near === undefined) {
+    if (radiusKm !== undefined) {
+      return { error: "radiusKm needs near" };
+    }
+    return {};
+  }
+  const [lat, lng, ...rest] = `${near}`.split(",");
+  const point = rest.length ? null : toPoint(lat, lng);
+  if (!point) {
+    return { error: "near must be lat,lng" };
+  }
+  const radius = Number(radiusKm ?? defaultRadiusKm);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > maxRadiusKm) {
+    return { error: `radiusKm must be between 0 and ${maxRadiusKm}` };
+  }
+  return { point, maxDistance: radius * 1000 };
+};
+
+// Keeps experiences with a scheduled session starting within the range. The
+// join runs in the pipeline, so matching ids are never loaded into Node.
+const sessionRangeStages = (fromDate, toDate) => {
+  const startTime = {};
+  if (fromDate) {
+    startTime.$gte = fromDate;
+  }
+  if (toDate) {
+    startTime.$lte = toDate;
+  }
+  return [
+    {
+      $lookup: {
+        from: ExperienceSession.collection.name,
+        localField: "_id",
+        foreignField: "experienceId",
+        pipeline: [
+          { $match: { status: "scheduled", startTime } },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "sessionsInRange",
+      },
+    },
+    { $match: { "sessionsInRange.0": { $exists: true } } },
+    { $unset: "sessionsInRange" },
+  ];
+};
+
+// The list query as a pipeline, for when `stages` have to run between the
+// filter and the sort. Returns the same page as the find path.
+const findWithStages = async (filter, stages, { search, order }, pagination) => {
+  const [{ experiences, total }] = await Experience.aggregate([
+    { $match: filter },
+    ...(search ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    ...stages,
+    { $sort: search ? { ...order, score: -1 } : order },
+    {
+      $facet: {
+        experiences: [{ $skip: pagination.skip }, { $limit: pagination.limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+  return {
+    experiences: experiences.map((doc) => Experience.hydrate(doc)),
+    total: total[0]?.count ?? 0,
+  };
+};
+
+// $geoNear returns plain documents sorted nearest first; hydrating them keeps
+// the response shaped like the other list queries.
+const findNearby = async (
+  filter,
+  { point, maxDistance },
+  pagination,
+  stages = []
+) => {
+  const [{ experiences, total }] = await Experience.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: "geo",
+        distanceField: "distance",
+        maxDistance,
+        spherical: true,
+        query: filter,
+      },
+    },
+    ...stages,
+    {
+      $facet: {
+        experiences: [{ $skip: pagination.skip }, { $limit: pagination.limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+  return {
+    experiences: experiences.map(({ distance, ...doc }) => ({
+      ...Experience.hydrate(doc).toJSON(),
+      distanceKm: Math.round(distance) / 1000,
+    })),
+    total: total[0]?.count ?? 0,
+  };
+};
+
+const parsePriceRange = ({ minPrice, maxPrice }) => {
+  const range = {};
+  for (const [key, value, operator] of [
+    ["minPrice", minPrice, "$gte"],
+    ["maxPrice", maxPrice, "$lte"],
+  ]) {
+    if (value === undefined || value === "") {
+      continue;
+    }
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { error: `${key} must be a number >= 0` };
+    }
+    range[operator] = amount;
+  }
+  if (range.$gte > range.$lte) {
+    return { error: "minPrice cannot be greater than maxPrice" };
+  }
+  return { range: Object.keys(range).length ? range : null };
+};
+
 const parseRangeDate = (value) => {
   if (!value) {
     return null;
@@ -60,9 +460,39 @@ const parseRangeDate = (value) => {
  *     tags: [Experiences]
  *     parameters:
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over title, description and location; results are ranked by relevance
+ *       - in: query
  *         name: location
  *         schema:
  *           type: string
+ *         description: Case-insensitive literal match within the location
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: "lat,lng; returns experiences with coordinates nearest first, each with distanceKm"
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 10
+ *           maximum: 500
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Only experiences priced in this currency
  *       - in: query
  *         name: from
  *         schema:
@@ -82,6 +512,18 @@ const parseRangeDate = (value) => {
  *         schema:
  *           type: integer
  *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [startTime, rating, reviewCount]
+ *           default: startTime
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -92,21 +534,92 @@ const parseRangeDate = (value) => {
  */
 router.get("/", async (req, res) => {
   try {
-    const { location, from, to, page = "1", limit = "10", sort = "asc" } =
-      req.query;
+    const {
+      q,
+      location,
+      currency,
+      from,
+      to,
+      minRating,
+      sortBy = "startTime",
+      sort = "asc",
+    } = req.query;
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
 
-    const pageNumber = Number(page);
-    const limitNumber = Number(limit);
-    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
-      return sendError(res, 400, "VALIDATION_ERROR", "Page must be >= 1");
+    const search = q === undefined ? "" : `${q}`.trim();
+    if (search.length > maxSearchLength) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `q must be at most ${maxSearchLength} characters`
+      );
+    }
+    const { range: priceRange, error: priceError } = parsePriceRange(
+      req.query
+    );
+    if (priceError) {
+      return sendError(res, 400, "VALIDATION_ERROR", priceError);
+    }
+    const currencyFilter =
+      currency === undefined ? null : normalizeCurrency(currency);
+    if (currency !== undefined && !currencyFilter) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Currency must be a three-letter code like USD"
+      );
+    }
+    if (!Object.hasOwn(experienceSortFields, sortBy)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `sortBy must be one of ${Object.keys(experienceSortFields).join(", ")}`
+      );
     }
-    if (!Number.isInteger(limitNumber) || limitNumber < 1) {
-      return sendError(res, 400, "VALIDATION_ERROR", "Limit must be >= 1");
+    const ratingFloor = minRating === undefined ? null : Number(minRating);
+    if (ratingFloor !== null && !(ratingFloor >= 1 && ratingFloor <= 5)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "minRating must be between 1 and 5"
+      );
+    }
+    const nearby = parseNear(req.query);
+    if (nearby.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", nearby.error);
+    }
+    if (nearby.point && search) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "q and near cannot be combined"
+      );
     }
 
     const filter = { status: "published" };
+    if (search) {
+      filter.$text = { $search: search };
+    }
     if (location) {
-      filter.location = new RegExp(`${location}`.trim(), "i");
+      filter.location = new RegExp(escapeRegex(`${location}`.trim()), "i");
+    }
+    if (priceRange) {
+      filter.price = priceRange;
+    }
+    if (currencyFilter) {
+      filter.currency = currencyFilter;
+    }
+    if (ratingFloor !== null) {
+      filter.ratingAverage = { $gte: ratingFloor };
     }
 
     const fromDate = parseRangeDate(from);
@@ -117,33 +630,61 @@ router.get("/", async (req, res) => {
     if (to && !toDate) {
       return sendError(res, 400, "VALIDATION_ERROR", "Invalid to datetime");
     }
-    if (fromDate || toDate) {
-      filter.startTime = {};
-      if (fromDate) {
-        filter.startTime.$gte = fromDate;
-      }
-      if (toDate) {
-        filter.startTime.$lte = toDate;
-      }
+    // from/to match any scheduled session, not just the first one.
+    const sessionStages =
+      fromDate || toDate ? sessionRangeStages(fromDate, toDate) : [];
+
+    if (nearby.point) {
+      const { experiences, total } = await findNearby(
+        filter,
+        nearby,
+        pagination,
+        sessionStages
+      );
+      return res.status(200).json({
+        message: "Experiences fetched",
+        experiences,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total,
+        },
+      });
     }
 
     const sortDirection = sort === "desc" ? -1 : 1;
-    const skip = (pageNumber - 1) * limitNumber;
+    // With q, the best matches come first and sortBy only breaks ties;
+    // start time breaks any remaining ones.
+    const projection = search ? { score: { $meta: "textScore" } } : {};
+    const order = search ? { score: { $meta: "textScore" } } : {};
+    order[experienceSortFields[sortBy]] = sortDirection;
+    order.startTime ??= sortDirection;
 
-    const [experiences, total] = await Promise.all([
-      Experience.find(filter)
-        .sort({ startTime: sortDirection })
-        .skip(skip)
-        .limit(limitNumber),
-      Experience.countDocuments(filter),
-    ]);
+    let experiences;
+    let total;
+    if (sessionStages.length) {
+      ({ experiences, total } = await findWithStages(
+        filter,
+        sessionStages,
+        { search, order },
+        pagination
+      ));
+    } else {
+      [experiences, total] = await Promise.all([
+        Experience.find(filter, projection)
+          .sort(order)
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        Experience.countDocuments(filter),
+      ]);
+    }
 
     res.status(200).json({
       message: "Experiences fetched",
       experiences,
       pagination: {
-        page: pageNumber,
-        limit: limitNumber,
+        page: pagination.page,
+        limit: pagination.limit,
         total,
       },
     });
@@ -158,6 +699,135 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /experiences/trash:
+ *   get:
+ *     summary: List trashed experiences (owner host or admin)
+ *     description: Hosts see their own; admins see everyone's.
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Trashed experiences fetched
+ *       403:
+ *         description: Only host or admin
+ */
+router.get("/trash", requireAuth, async (req, res) => {
+  try {
+    if (!isHostOrAdmin(req.user)) {
+      return sendError(
+        res,
+        403,
+        "EXPERIENCE_FORBIDDEN",
+        "Only host or admin can view trashed experiences"
+      );
+    }
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const filter = { deletedAt: { $type: "date" } };
+    if (req.user.role !== "admin") {
+      filter.createdBy = req.user.userId;
+    }
+    const [experiences, total] = await Promise.all([
+      Experience.find(filter)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Experience.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Trash fetched",
+      experiences: experiences.map((experience) => ({
+        ...experience.toJSON(),
+        purgeAfter: new Date(
+          experience.deletedAt.getTime() + TRASH_RETENTION_DAYS * 86400000
+        ),
+      })),
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "TRASH_FETCH_FAILED",
+      "Error fetching trash",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}:
+ *   get:
+ *     summary: Get a published experience
+ *     tags: [Experiences]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experience fetched with its upcoming sessions
+ *       404:
+ *         description: Experience not found
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const experience = await Experience.findOne({
+      _id: req.params.id,
+      status: "published",
+    });
+    if (!experience) {
+      return sendError(
+        res,
+        404,
+        "EXPERIENCE_NOT_FOUND",
+        "Experience not found"
+      );
+    }
+    const sessions = await ExperienceSession.find({
+      experienceId: experience._id,
+      status: "scheduled",
+      startTime: { $gte: new Date() },
+    })
+      .sort({ startTime: 1 })
+      .limit(50);
+    res
+      .status(200)
+      .json({ message: "Experience fetched", experience, sessions });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "EXPERIENCE_FETCH_FAILED",
+      "Error fetching experience",
+      [error.message]
+    );
+  }
+});
+
 /**
  * @swagger
  * /experiences:
@@ -172,7 +842,7 @@ router.get("/", async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required: [title, location, price, start_time]
+ *             required: [title, location, price, start_time, capacity]
  *             properties:
  *               title:
  *                 type: string
@@ -180,14 +850,48 @@ router.get("/", async (req, res) => {
  *                 type: string
  *               location:
  *                 type: string
+ *               coordinates:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Optional map position used by near searches
+ *                 properties:
+ *                   lat:
+ *                     type: number
+ *                   lng:
+ *                     type: number
  *               price:
  *                 type: integer
+ *                 description: Per seat, in whole units of currency
+ *               currency:
+ *                 type: string
+ *                 example: USD
  *               start_time:
  *                 type: string
  *                 format: date-time
+ *                 description: First session, and the anchor for recurrence
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Seats per session
+ *               recurrence:
+ *                 type: object
+ *                 description: >
+ *                   Repeats the session. Supports FREQ=DAILY|WEEKLY with
+ *                   INTERVAL, BYDAY (weekly only) and COUNT or UNTIL; all
+ *                   times are UTC.
+ *                 properties:
+ *                   rule:
+ *                     type: string
+ *                     example: FREQ=WEEKLY;BYDAY=SA,SU;COUNT=8
+ *                   exceptions:
+ *                     type: array
+ *                     description: UTC dates (YYYY-MM-DD) to skip
+ *                     items:
+ *                       type: string
+ *                       format: date
  *     responses:
  *       201:
- *         description: Experience created
+ *         description: Experience created with its sessions
  *       403:
  *         description: Access denied
  */
@@ -197,8 +901,9 @@ router.post("/", requireAuth, async (req, res) => {
       return sendError(res, 403, "EXPERIENCE_FORBIDDEN", "Access denied");
     }
 
-    const { title, description, location, price } = req.body;
+    const { title, description, location, price, capacity } = req.body;
     const parsedPrice = typeof price === "string" ? Number(price) : price;
+    const parsedCapacity = parseInteger(capacity);
     const startTime = req.body.start_time || req.body.startTime;
 
     const validationError = validateExperienceInput({
@@ -206,22 +911,63 @@ router.post("/", requireAuth, async (req, res) => {
       location,
       price: parsedPrice,
       startTime,
+      capacity: parsedCapacity,
     });
     if (validationError) {
       return sendError(res, 400, "VALIDATION_ERROR", validationError);
     }
+    const currency =
+      req.body.currency === undefined
+        ? DEFAULT_CURRENCY
+        : normalizeCurrency(req.body.currency);
+    if (!currency) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Currency must be a three-letter code like USD"
+      );
+    }
+    const { geo, error: coordinatesError } =
+      req.body.coordinates === undefined
+        ? { geo: null }
+        : parseCoordinates(req.body.coordinates);
+    if (coordinatesError) {
+      return sendError(res, 400, "VALIDATION_ERROR", coordinatesError);
+    }
+    const { dates, error: recurrenceError } = buildSessionDates(
+      new Date(startTime),
+      req.body.recurrence
+    );
+    if (recurrenceError) {
+      return sendError(res, 400, "VALIDATION_ERROR", recurrenceError);
+    }
 
     const experience = await Experience.create({
       title: title.trim(),
       description: description?.trim() || "",
       location: location.trim(),
+      geo,
       price: parsedPrice,
-      startTime: new Date(startTime),
+      currency,
+      startTime: dates[0],
+      capacity: parsedCapacity,
       createdBy: req.user.userId,
       status: "draft",
     });
+    const sessions = await createSessions(
+      experience._id,
+      dates,
+      parsedCapacity
+    );
 
-    res.status(201).json({ message: "Experience created", experience });
+    await auditExperience(req, "create", experience, { after: experience });
+
+    res.status(201).json({
+      message: "Experience created",
+      experience,
+      sessions,
+    });
   } catch (error) {
     return sendError(
       res,
@@ -235,9 +981,15 @@ router.post("/", requireAuth, async (req, res) => {
 
 /**
  * @swagger
- * /experiences/{id}/publish:
+ * /experiences/{id}:
  *   patch:
- *     summary: Publish an experience
+ *     summary: Edit an experience (owner host or admin)
+ *     description: >
+ *       Once seats are booked the price and currency are locked and capacity
+ *       cannot drop below the booked seats. Changing the start time or
+ *       location of a booked experience emails its attendees. Start time and
+ *       capacity can only be changed here while the experience has a single
+ *       session; use the session endpoints otherwise.
  *     tags: [Experiences]
  *     security:
  *       - bearerAuth: []
@@ -247,39 +999,825 @@ router.post("/", requireAuth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *     responses:
- *       200:
- *         description: Experience published
- *       403:
- *         description: Access denied
- *       404:
- *         description: Experience not found
- */
-router.patch("/:id/publish", requireAuth, async (req, res) => {
-  try {
-    const experience = await Experience.findById(req.params.id);
-    if (!experience) {
-      return sendError(
-        res,
-        404,
-        "EXPERIENCE_NOT_FOUND",
-        "Experience not found"
-      );
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               coordinates:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Optional map position used by near searches
+ *                 properties:
+ *                   lat:
+ *                     type: number
+ *                   lng:
+ *                     type: number
+ *               price:
+ *                 type: integer
+ *                 description: Per seat, in whole units of currency
+ *               currency:
+ *                 type: string
+ *                 example: USD
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               capacity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Experience updated
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Experience not found
+ *       409:
+ *         description: Experience is blocked or the edit conflicts with bookings
+ */
+router.patch("/:id", requireAuth, async (req, res) => {
+  try {
+    const { updates, error: validationError } = buildExperienceUpdates(
+      req.body
+    );
+    if (validationError) {
+      return sendError(res, 400, "VALIDATION_ERROR", validationError);
+    }
+
+    const experience = await Experience.findById(req.params.id);
+    if (!experience) {
+      return sendError(
+        res,
+        404,
+        "EXPERIENCE_NOT_FOUND",
+        "Experience not found"
+      );
+    }
+    if (!isOwnerOrAdmin(experience, req.user)) {
+      return sendError(res, 403, "EXPERIENCE_FORBIDDEN", "Access denied");
+    }
+    if (experience.status === "blocked" && req.user.role !== "admin") {
+      return sendError(
+        res,
+        409,
+        "EXPERIENCE_BLOCKED",
+        "Blocked experiences cannot be edited"
+      );
+    }
+
+    const hasBookings = Boolean(
+      await Booking.exists({
+        experienceId: experience._id,
+        status: "confirmed",
+      })
+    );
+    if (
+      hasBookings &&
+      ((updates.price !== undefined && updates.price !== experience.price) ||
+        (updates.currency !== undefined &&
+          updates.currency !== experience.currency))
+    ) {
+      return sendError(
+        res,
+        409,
+        "EXPERIENCE_HAS_BOOKINGS",
+        "Price and currency cannot change once seats are booked"
+      );
+    }
+
+    // Start time and capacity belong to sessions, so they can only be edited
+    // here while the experience has a single session.
+    let previousSession = null;
+    let session = null;
+    if (updates.startTime !== undefined || updates.capacity !== undefined) {
+      const sessions = await ExperienceSession.find({
+        experienceId: experience._id,
+        status: "scheduled",
+      }).limit(2);
+      if (sessions.length !== 1) {
+        return sendError(
+          res,
+          409,
+          "EXPERIENCE_HAS_SESSIONS",
+          "Change the start time or capacity on each session instead"
+        );
+      }
+      [previousSession] = sessions;
+      // The seatsBooked guard keeps a concurrent booking from ending up above
+      // the new capacity.
+      const sessionFilter = { _id: previousSession._id };
+      const sessionUpdates = {};
+      if (updates.capacity !== undefined) {
+        sessionFilter.seatsBooked = { $lte: updates.capacity };
+        sessionUpdates.capacity = updates.capacity;
+      }
+      if (updates.startTime !== undefined) {
+        sessionUpdates.startTime = updates.startTime;
+      }
+      session = await ExperienceSession.findOneAndUpdate(
+        sessionFilter,
+        { $set: sessionUpdates },
+        { new: true, runValidators: true }
+      );
+      if (!session) {
+        return sendError(
+          res,
+          409,
+          "CAPACITY_BELOW_BOOKED",
+          "Capacity cannot be lower than the seats already booked"
+        );
+      }
+    }
+
+    const updated = await Experience.findOneAndUpdate(
+      { _id: experience._id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return sendError(
+        res,
+        404,
+        "EXPERIENCE_NOT_FOUND",
+        "Experience not found"
+      );
+    }
+
+    const scheduleChanged =
+      (updates.startTime &&
+        updates.startTime.getTime() !== experience.startTime.getTime()) ||
+      (updates.location && updates.location !== experience.location);
+    let attendeesNotified = 0;
+    if (hasBookings && scheduleChanged) {
+      attendeesNotified = await notifyAttendees(
+        { experienceId: updated._id },
+        `Update to your booking: ${updated.title}`,
+        [
+          `The host changed the details of "${updated.title}".`,
+          `Location: ${updated.location}`,
+          `Start time: ${updated.startTime.toISOString()}`,
+          "",
+          "If the new details do not work for you, you can cancel your booking.",
+        ].join("\n")
+      );
+    }
+    if (session && session.capacity > previousSession.capacity) {
+      await offerFreedSeats(session._id);
+    }
+
+    await auditExperience(req, "update", updated, {
+      before: experience,
+      after: updated,
+      details: { attendeesNotified },
+    });
+
+    res.status(200).json({
+      message: "Experience updated",
+      experience: updated,
+      attendeesNotified,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "EXPERIENCE_UPDATE_FAILED",
+      "Error updating experience",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}:
+ *   delete:
+ *     summary: Move a draft experience without bookings to the trash (owner host or admin)
+ *     description: Trashed experiences are purged after TRASH_RETENTION_DAYS.
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experience moved to trash
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Experience not found
+ *       409:
+ *         description: Experience is not a draft or has confirmed bookings
+ */
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    const experience = await Experience.findById(req.params.id);
+    if (!experience) {
+      return sendError(
+        res,
+        404,
+        "EXPERIENCE_NOT_FOUND",
+        "Experience not found"
+      );
+    }
+    if (!isOwnerOrAdmin(experience, req.user)) {
+      return sendError(res, 403, "EXPERIENCE_FORBIDDEN", "Access denied");
+    }
+    if (experience.status !== "draft") {
+      return sendError(
+        res,
+        409,
+        "EXPERIENCE_NOT_DRAFT",
+        "Only draft experiences can be deleted"
+      );
+    }
+
+    const hasConfirmedBookings = await Booking.exists({
+      experienceId: experience._id,
+      status: "confirmed",
+    });
+    if (hasConfirmedBookings) {
+      return sendError(
+        res,
+        409,
+        "EXPERIENCE_HAS_BOOKINGS",
+        "Experiences with confirmed bookings cannot be deleted"
+      );
+    }
+
+    // Bookings stay until the experience is purged so a restore keeps them.
+    const trashed = await Experience.updateOne(
+      { _id: experience._id, status: "draft" },
+      { deletedAt: new Date(), deletedBy: req.user.userId }
+    );
+    if (!trashed.modifiedCount) {
+      return sendError(
+        res,
+        409,
+        "EXPERIENCE_STATUS_CHANGED",
+        "Experience status changed; reload and try again"
+      );
+    }
+    await auditExperience(req, "delete", experience);
+    res.status(200).json({ message: "Experience moved to trash" });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "EXPERIENCE_DELETE_FAILED",
+      "Error deleting experience",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/restore:
+ *   post:
+ *     summary: Restore a trashed experience as a draft (owner host or admin)
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experience restored
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Experience not found in the trash
+ */
+router.post("/:id/restore", requireAuth, async (req, res) => {
+  try {
+    const experience = await loadTrashedExperience(req, res);
+    if (!experience) {
+      return;
+    }
+
+    const restored = await Experience.findOneAndUpdate(
+      { _id: experience._id, deletedAt: { $type: "date" } },
+      { deletedAt: null, deletedBy: null },
+      { new: true }
+    );
+    if (!restored) {
+      return sendError(
+        res,
+        404,
+        "EXPERIENCE_NOT_FOUND",
+        "Experience not found in the trash"
+      );
+    }
+    await auditExperience(req, "restore", restored);
+    res.status(200).json({
+      message: "Experience restored",
+      experience: restored,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "EXPERIENCE_RESTORE_FAILED",
+      "Error restoring experience",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a trashed experience (owner host or admin)
+ *     description: Its remaining (cancelled) bookings are deleted as well.
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experience permanently deleted
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Experience not found in the trash
+ */
+router.delete("/:id/purge", requireAuth, async (req, res) => {
+  try {
+    const experience = await loadTrashedExperience(req, res);
+    if (!experience) {
+      return;
+    }
+
+    await purgeExperiences([experience._id]);
+    await auditExperience(req, "purge", experience, { before: experience });
+    res.status(200).json({ message: "Experience permanently deleted" });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "EXPERIENCE_PURGE_FAILED",
+      "Error purging experience",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/publish:
+ *   patch:
+ *     summary: Publish an experience (draft to published)
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experience published
+ *       403:
+ *         description: Access denied or email not verified
+ *       404:
+ *         description: Experience not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.patch(
+  "/:id/publish",
+  requireAuth,
+  requireVerifiedEmail("publish"),
+  transitionExperience("published", {
+    from: ["draft"],
+    action: "publish",
+    message: "Experience published",
+    errorCode: "EXPERIENCE_PUBLISH_FAILED",
+    errorMessage: "Error publishing experience",
+  })
+);
+
+/**
+ * @swagger
+ * /experiences/{id}/unpublish:
+ *   patch:
+ *     summary: Unpublish an experience (published to draft)
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experience unpublished
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Experience not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.patch(
+  "/:id/unpublish",
+  requireAuth,
+  transitionExperience("draft", {
+    from: ["published"],
+    action: "unpublish",
+    message: "Experience unpublished",
+    errorCode: "EXPERIENCE_UNPUBLISH_FAILED",
+    errorMessage: "Error unpublishing experience",
+  })
+);
+
+/**
+ * @swagger
+ * /experiences/{id}/block:
+ *   patch:
+ *     summary: Block an experience (admin only)
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experience blocked
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Experience not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.patch(
+  "/:id/block",
+  requireAuth,
+  requireRole("admin"),
+  transitionExperience("blocked", {
+    from: ["draft", "published"],
+    action: "block",
+    message: "Experience blocked",
+    errorCode: "EXPERIENCE_BLOCK_FAILED",
+    errorMessage: "Error blocking experience",
+  })
+);
+
+/**
+ * @swagger
+ * /experiences/{id}/unblock:
+ *   patch:
+ *     summary: Unblock an experience back to draft (admin only)
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experience unblocked
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Experience not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.patch(
+  "/:id/unblock",
+  requireAuth,
+  requireRole("admin"),
+  transitionExperience("draft", {
+    from: ["blocked"],
+    action: "unblock",
+    message: "Experience unblocked",
+    errorCode: "EXPERIENCE_UNBLOCK_FAILED",
+    errorMessage: "Error unblocking experience",
+  })
+);
+
+/**
+ * @swagger
+ * /experiences/{id}/quote:
+ *   get:
+ *     summary: Price a booking before making it
+ *     description: >
+ *       Returns the same pricing a booking with these seats and promo code
+ *       would store. Seat availability is not checked and the promo code is
+ *       not used up.
+ *     tags: [Experiences]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: seats
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: promoCode
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quote computed
+ *       404:
+ *         description: Experience or promo code not found
+ *       409:
+ *         description: PROMO_EXPIRED, PROMO_EXHAUSTED or PROMO_NOT_APPLICABLE
+ */
+router.get("/:id/quote", async (req, res) => {
+  try {
+    const seats = parseInteger(req.query.seats);
+    if (!Number.isInteger(seats) || seats < 1) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Seats must be >= 1");
+    }
+
+    const experience = await Experience.findOne({
+      _id: req.params.id,
+      status: "published",
+    });
+    if (!experience) {
+      return sendError(
+        res,
+        404,
+        "EXPERIENCE_NOT_FOUND",
+        "Experience not found"
+      );
+    }
+
+    const { pricing, error: promoError } = await quoteBooking(
+      experience,
+      seats,
+      req.query.promoCode
+    );
+    if (promoError) {
+      return sendError(
+        res,
+        promoError.status,
+        promoError.code,
+        promoError.message
+      );
+    }
+
+    res.status(200).json({
+      message: "Quote computed",
+      quote: { ...pricing, seats },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "QUOTE_FAILED",
+      "Error computing quote",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/book:
+ *   post:
+ *     summary: Book a session of an experience
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [seats]
+ *             properties:
+ *               seats:
+ *                 type: integer
+ *               sessionId:
+ *                 type: string
+ *                 description: Optional if only one session is upcoming
+ *               promoCode:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Booking created with its pricing snapshot
+ *       403:
+ *         description: Access denied or email not verified
+ *       404:
+ *         description: Experience, session or promo code not found
+ *       409:
+ *         description: >
+ *           BOOKING_EXISTS, SESSION_CANCELLED, WAITLIST_PENDING, SOLD_OUT,
+ *           INSUFFICIENT_SEATS, PROMO_EXPIRED, PROMO_EXHAUSTED or
+ *           PROMO_NOT_APPLICABLE
+ */
+router.post("/:id/book", requireAuth, requireVerifiedEmail("book"), async (req, res) => {
+  try {
+    if (req.user?.role === "host") {
+      return sendError(res, 403, "BOOKING_FORBIDDEN", "Hosts cannot book");
+    }
+
+    const seats = parseInteger(req.body.seats);
+    if (!Number.isInteger(seats) || seats < 1) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Seats must be >= 1");
+    }
+
+    const experience = await Experience.findById(req.params.id);
+    if (!experience) {
+      return sendError(
+        res,
+        404,
+        "EXPERIENCE_NOT_FOUND",
+        "Experience not found"
+      );
+    }
+    if (experience.status !== "published") {
+      return sendError(
+        res,
+        400,
+        "BOOKING_NOT_ALLOWED",
+        "Experience is not published"
+      );
+    }
+
+    const { session, error: sessionError } = await resolveSession(
+      experience,
+      req.body.sessionId
+    );
+    if (sessionError) {
+      return sendError(
+        res,
+        sessionError.status,
+        sessionError.code,
+        sessionError.message
+      );
+    }
+
+    // Fast path only; the partial unique index on bookings is what actually
+    // prevents two concurrent requests from both creating a booking.
+    const existingBooking = await Booking.findOne({
+      sessionId: session._id,
+      userId: req.user.userId,
+      status: "confirmed",
+    });
+    if (existingBooking) {
+      return sendError(
+        res,
+        409,
+        "BOOKING_EXISTS",
+        "Booking already exists"
+      );
+    }
+    if (await hasWaitingEntries(session._id)) {
+      return sendError(
+        res,
+        409,
+        "WAITLIST_PENDING",
+        "Guests are waiting for this session; join the waitlist instead"
+      );
     }
-    if (!isOwnerOrAdmin(experience, req.user)) {
-      return sendError(res, 403, "EXPERIENCE_FORBIDDEN", "Access denied");
+
+    const {
+      pricing,
+      promo,
+      error: promoError,
+    } = await quoteBooking(experience, seats, req.body.promoCode);
+    if (promoError) {
+      return sendError(
+        res,
+        promoError.status,
+        promoError.code,
+        promoError.message
+      );
+    }
+
+    const reserved = await ExperienceSession.reserveSeats(session._id, seats);
+    if (!reserved) {
+      const current = await ExperienceSession.findById(session._id);
+      if (!current || current.status !== "scheduled") {
+        return sendError(
+          res,
+          409,
+          "SESSION_CANCELLED",
+          "Session is cancelled"
+        );
+      }
+      if (current.seatsRemaining === 0) {
+        return sendError(res, 409, "SOLD_OUT", "Session is sold out");
+      }
+      return sendError(
+        res,
+        409,
+        "INSUFFICIENT_SEATS",
+        `Only ${current.seatsRemaining} seats remaining`,
+        [`seatsRemaining: ${current.seatsRemaining}`]
+      );
     }
 
-    experience.status = "published";
-    await experience.save();
+    if (promo && !(await redeemPromoCode(promo._id))) {
+      await ExperienceSession.releaseSeats(session._id, seats);
+      return sendError(
+        res,
+        409,
+        "PROMO_EXHAUSTED",
+        "Promo code is no longer available"
+      );
+    }
+
+    let booking;
+    try {
+      booking = await Booking.create({
+        experienceId: experience._id,
+        sessionId: session._id,
+        userId: req.user.userId,
+        seats,
+        status: "confirmed",
+        pricing,
+      });
+    } catch (error) {
+      await ExperienceSession.releaseSeats(session._id, seats);
+      if (promo) {
+        await releasePromoCode(promo._id);
+      }
+      if (error.code === 11000) {
+        return sendError(
+          res,
+          409,
+          "BOOKING_EXISTS",
+          "Booking already exists"
+        );
+      }
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: "booking.create",
+      entityType: "booking",
+      entityId: booking._id,
+      after: booking,
+      details: {
+        experienceId: experience._id,
+        sessionId: session._id,
+        promoCode: pricing.promoCode,
+      },
+    });
 
-    res.status(200).json({ message: "Experience published", experience });
+    res.status(201).json({
+      message: "Booking created",
+      booking,
+      session: reserved,
+      seatsRemaining: reserved.seatsRemaining,
+    });
   } catch (error) {
     return sendError(
       res,
       500,
-      "EXPERIENCE_PUBLISH_FAILED",
-      "Error publishing experience",
+      "BOOKING_CREATE_FAILED",
+      "Error creating booking",
       [error.message]
     );
   }
@@ -287,9 +1825,13 @@ router.patch("/:id/publish", requireAuth, async (req, res) => {
 
 /**
  * @swagger
- * /experiences/{id}/block:
- *   patch:
- *     summary: Block an experience (admin only)
+ * /experiences/{id}/waitlist:
+ *   post:
+ *     summary: Join the waitlist of a full session
+ *     description: >
+ *       When seats free up they are offered in join order and held for
+ *       WAITLIST_HOLD_MINUTES; claim them with POST /experiences/{id}/waitlist/claim.
+ *       Each session has its own waitlist.
  *     tags: [Experiences]
  *     security:
  *       - bearerAuth: []
@@ -299,16 +1841,39 @@ router.patch("/:id/publish", requireAuth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [seats]
+ *             properties:
+ *               seats:
+ *                 type: integer
+ *                 minimum: 1
+ *               sessionId:
+ *                 type: string
+ *                 description: Optional if only one session is upcoming
  *     responses:
- *       200:
- *         description: Experience blocked
- *       403:
- *         description: Access denied
- *       404:
- *         description: Experience not found
+ *       201:
+ *         description: Joined the waitlist
+ *       409:
+ *         description: >
+ *           Seats are still available with nobody waiting, or already booked
+ *           or waiting
  */
-router.patch("/:id/block", requireAuth, requireRole("admin"), async (req, res) => {
+router.post("/:id/waitlist", requireAuth, requireVerifiedEmail("book"), async (req, res) => {
   try {
+    if (req.user?.role === "host") {
+      return sendError(res, 403, "BOOKING_FORBIDDEN", "Hosts cannot book");
+    }
+
+    const seats = parseInteger(req.body.seats);
+    if (!Number.isInteger(seats) || seats < 1) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Seats must be >= 1");
+    }
+
     const experience = await Experience.findById(req.params.id);
     if (!experience) {
       return sendError(
@@ -318,17 +1883,91 @@ router.patch("/:id/block", requireAuth, requireRole("admin"), async (req, res) =
         "Experience not found"
       );
     }
+    if (experience.status !== "published") {
+      return sendError(
+        res,
+        400,
+        "BOOKING_NOT_ALLOWED",
+        "Experience is not published"
+      );
+    }
+    const { session, error: sessionError } = await resolveSession(
+      experience,
+      req.body.sessionId
+    );
+    if (sessionError) {
+      return sendError(
+        res,
+        sessionError.status,
+        sessionError.code,
+        sessionError.message
+      );
+    }
+    if (seats > session.capacity) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Seats cannot exceed the capacity of ${session.capacity}`
+      );
+    }
+    if (
+      session.seatsRemaining >= seats &&
+      !(await hasWaitingEntries(session._id))
+    ) {
+      return sendError(
+        res,
+        409,
+        "SEATS_AVAILABLE",
+        "Seats are available; book directly instead"
+      );
+    }
+    const existingBooking = await Booking.exists({
+      sessionId: session._id,
+      userId: req.user.userId,
+      status: "confirmed",
+    });
+    if (existingBooking) {
+      return sendError(res, 409, "BOOKING_EXISTS", "Booking already exists");
+    }
 
-    experience.status = "blocked";
-    await experience.save();
+    let entry;
+    try {
+      entry = await WaitlistEntry.create({
+        experienceId: experience._id,
+        sessionId: session._id,
+        userId: req.user.userId,
+        seats,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(
+          res,
+          409,
+          "WAITLIST_EXISTS",
+          "You are already on this waitlist"
+        );
+      }
+      throw error;
+    }
+    await recordAudit(req, {
+      action: "waitlist.join",
+      entityType: "waitlist",
+      entityId: entry._id,
+      after: entry,
+    });
 
-    res.status(200).json({ message: "Experience blocked", experience });
+    res.status(201).json({
+      message: "Joined waitlist",
+      entry,
+      position: await waitlistPosition(entry),
+    });
   } catch (error) {
     return sendError(
       res,
       500,
-      "EXPERIENCE_BLOCK_FAILED",
-      "Error blocking experience",
+      "WAITLIST_JOIN_FAILED",
+      "Error joining waitlist",
       [error.message]
     );
   }
@@ -336,9 +1975,9 @@ router.patch("/:id/block", requireAuth, requireRole("admin"), async (req, res) =
 
 /**
  * @swagger
- * /experiences/{id}/book:
+ * /experiences/{id}/waitlist/claim:
  *   post:
- *     summary: Book an experience
+ *     summary: Book the seats held for you by a waitlist offer
  *     tags: [Experiences]
  *     security:
  *       - bearerAuth: []
@@ -349,36 +1988,54 @@ router.patch("/:id/block", requireAuth, requireRole("admin"), async (req, res) =
  *         schema:
  *           type: string
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [seats]
  *             properties:
- *               seats:
- *                 type: integer
+ *               sessionId:
+ *                 type: string
+ *                 description: Needed only with open offers on several sessions
+ *               promoCode:
+ *                 type: string
  *     responses:
  *       201:
- *         description: Booking created
- *       403:
- *         description: Access denied
+ *         description: Booking created with its pricing snapshot
  *       404:
- *         description: Experience not found
+ *         description: Promo code not found
+ *       409:
+ *         description: >
+ *           No open offer, the offer has expired, or the promo code cannot be
+ *           used
  */
-router.post("/:id/book", requireAuth, async (req, res) => {
+router.post("/:id/waitlist/claim", requireAuth, async (req, res) => {
   try {
-    if (req.user?.role === "host") {
-      return sendError(res, 403, "BOOKING_FORBIDDEN", "Hosts cannot book");
+    const filter = {
+      experienceId: req.params.id,
+      userId: req.user.userId,
+      status: "offered",
+      offerExpiresAt: { $gt: new Date() },
+    };
+    if (req.body?.sessionId !== undefined) {
+      if (!mongoose.isValidObjectId(req.body.sessionId)) {
+        return sendError(res, 400, "VALIDATION_ERROR", "Invalid sessionId");
+      }
+      filter.sessionId = req.body.sessionId;
     }
-
-    const seatsRaw = req.body.seats;
-    const seats = typeof seatsRaw === "string" ? Number(seatsRaw) : seatsRaw;
-    if (!Number.isInteger(seats) || seats < 1) {
-      return sendError(res, 400, "VALIDATION_ERROR", "Seats must be >= 1");
+    const sendNoOffer = () =>
+      sendError(
+        res,
+        409,
+        "WAITLIST_NO_OFFER",
+        "You have no open waitlist offer for this experience"
+      );
+    const offer = await WaitlistEntry.findOne(filter).sort({
+      offerExpiresAt: 1,
+    });
+    if (!offer) {
+      return sendNoOffer();
     }
-
-    const experience = await Experience.findById(req.params.id);
+    const experience = await Experience.findById(offer.experienceId);
     if (!experience) {
       return sendError(
         res,
@@ -387,34 +2044,80 @@ router.post("/:id/book", requireAuth, async (req, res) => {
         "Experience not found"
       );
     }
-    if (experience.status !== "published") {
+    // Priced before claiming so a bad promo code leaves the offer open.
+    const {
+      pricing,
+      promo,
+      error: promoError,
+    } = await quoteBooking(experience, offer.seats, req.body?.promoCode);
+    if (promoError) {
       return sendError(
         res,
-        400,
-        "BOOKING_NOT_ALLOWED",
-        "Experience is not published"
+        promoError.status,
+        promoError.code,
+        promoError.message
       );
     }
 
-    const existingBooking = await Booking.findOne({
-      experienceId: experience._id,
-      userId: req.user.userId,
-      status: "confirmed",
-    });
-    if (existingBooking) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        _id: offer._id,
+        status: "offered",
+        offerExpiresAt: { $gt: new Date() },
+      },
+      { status: "claimed" },
+      { new: true }
+    );
+    if (!entry) {
+      return sendNoOffer();
+    }
+    if (promo && !(await redeemPromoCode(promo._id))) {
+      entry.status = "offered";
+      await entry.save();
       return sendError(
         res,
         409,
-        "BOOKING_EXISTS",
-        "Booking already exists"
+        "PROMO_EXHAUSTED",
+        "Promo code is no longer available"
       );
     }
 
-    const booking = await Booking.create({
-      experienceId: experience._id,
-      userId: req.user.userId,
-      seats,
-      status: "confirmed",
+    // The seats were reserved when the offer was made.
+    let booking;
+    try {
+      booking = await Booking.create({
+        experienceId: entry.experienceId,
+        sessionId: entry.sessionId,
+        userId: req.user.userId,
+        seats: entry.seats,
+        status: "confirmed",
+        pricing,
+      });
+    } catch (error) {
+      if (promo) {
+        await releasePromoCode(promo._id);
+      }
+      entry.status = "left";
+      await entry.save();
+      await releaseOffer(entry);
+      if (error.code === 11000) {
+        return sendError(res, 409, "BOOKING_EXISTS", "Booking already exists");
+      }
+      throw error;
+    }
+    entry.bookingId = booking._id;
+    await entry.save();
+    await recordAudit(req, {
+      action: "booking.create",
+      entityType: "booking",
+      entityId: booking._id,
+      after: booking,
+      details: {
+        experienceId: entry.experienceId,
+        sessionId: entry.sessionId,
+        waitlistEntry: entry._id,
+        promoCode: pricing.promoCode,
+      },
     });
 
     res.status(201).json({ message: "Booking created", booking });
@@ -422,8 +2125,192 @@ router.post("/:id/book", requireAuth, async (req, res) => {
     return sendError(
       res,
       500,
-      "BOOKING_CREATE_FAILED",
-      "Error creating booking",
+      "WAITLIST_CLAIM_FAILED",
+      "Error claiming waitlist offer",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/waitlist:
+ *   delete:
+ *     summary: Leave an experience's waitlist
+ *     description: Seats held by an open offer go to the next person in line.
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         description: Needed only when waiting on several sessions
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       404:
+ *         description: Not on this waitlist
+ */
+router.delete("/:id/waitlist", requireAuth, async (req, res) => {
+  try {
+    const filter = {
+      experienceId: req.params.id,
+      userId: req.user.userId,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    };
+    if (req.query.sessionId !== undefined) {
+      if (!mongoose.isValidObjectId(req.query.sessionId)) {
+        return sendError(res, 400, "VALIDATION_ERROR", "Invalid sessionId");
+      }
+      filter.sessionId = req.query.sessionId;
+    }
+    const entry = await WaitlistEntry.findOneAndUpdate(filter, {
+      status: "left",
+    });
+    if (!entry) {
+      return sendError(
+        res,
+        404,
+        "WAITLIST_NOT_FOUND",
+        "You are not on this waitlist"
+      );
+    }
+    if (entry.status === "offered") {
+      await releaseOffer(entry);
+    }
+    await recordAudit(req, {
+      action: "waitlist.leave",
+      entityType: "waitlist",
+      entityId: entry._id,
+      before: { status: entry.status },
+      after: { status: "left" },
+    });
+
+    res.status(200).json({ message: "Left waitlist" });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "WAITLIST_LEAVE_FAILED",
+      "Error leaving waitlist",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/bookings:
+ *   get:
+ *     summary: List bookings for an experience (owner host or admin)
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [confirmed, cancelled, all]
+ *         description: Defaults to confirmed
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bookings fetched
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Experience not found
+ */
+router.get("/:id/bookings", requireAuth, async (req, res) => {
+  try {
+    const { status = "confirmed" } = req.query;
+    if (!["confirmed", "cancelled", "all"].includes(status)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Status must be confirmed, cancelled, or all"
+      );
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const experience = await Experience.findById(req.params.id);
+    if (!experience) {
+      return sendError(
+        res,
+        404,
+        "EXPERIENCE_NOT_FOUND",
+        "Experience not found"
+      );
+    }
+    if (!isOwnerOrAdmin(experience, req.user)) {
+      return sendError(res, 403, "EXPERIENCE_FORBIDDEN", "Access denied");
+    }
+
+    const filter = { experienceId: experience._id };
+    if (status !== "all") {
+      filter.status = status;
+    }
+    if (req.query.sessionId !== undefined) {
+      if (!mongoose.isValidObjectId(req.query.sessionId)) {
+        return sendError(res, 400, "VALIDATION_ERROR", "Invalid sessionId");
+      }
+      filter.sessionId = req.query.sessionId;
+    }
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(filter)
+        .populate("userId", "name email")
+        .populate("sessionId", "startTime status")
+        .sort({ created_at: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Booking.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Bookings fetched",
+      bookings,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "BOOKINGS_FETCH_FAILED",
+      "Error fetching bookings",
       [error.message]
     );
   }
@@ -0,0 +1,255 @@
+import { Router } from "express";
+import Label from "../models/Label.js";
+import Task from "../models/Task.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { sendError } from "../utils/errorResponse.js";
+
+const router = Router();
+
+const maxLabelsPerUser = 100;
+const colorPattern = /^#[0-9a-f]{6}$/i;
+
+// Validates name/color from a request body. With `partial`, missing fields
+// are allowed so PATCH can change just one of them.
+const buildLabelFields = ({ name, color }, { partial = false } = {}) => {
+  const fields = {};
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim()) {
+      return { error: "Name is required" };
+    }
+    if (name.trim().length > 40) {
+      return { error: "Name must be at most 40 characters" };
+    }
+    fields.name = name.trim();
+  }
+  if (color !== undefined) {
+    if (typeof color !== "string" || !colorPattern.test(color)) {
+      return { error: "Color must be a hex color like #22c55e" };
+    }
+    fields.color = color.toLowerCase();
+  }
+  return { fields };
+};
+
+const sendDuplicateLabel = (res) =>
+  sendError(
+    res,
+    409,
+    "LABEL_EXISTS",
+    "You already have a label with this name"
+  );
+
+const loadOwnLabel = async (req, res) => {
+  const label = await Label.findOne({
+    _id: req.params.id,
+    owner: req.user.userId,
+  });
+  if (!label) {
+    sendError(res, 404, "LABEL_NOT_FOUND", "Label not found");
+    return null;
+  }
+  return label;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Labels
+ *   description: Per-user task labels
+ */
+/**
+ * @swagger
+ * /labels:
+ *   get:
+ *     summary: List the caller's labels
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Labels fetched
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const labels = await Label.find({ owner: req.user.userId })
+      .collation({ locale: "en", strength: 2 })
+      .sort({ name: 1 });
+    res.status(200).json({ message: "Labels fetched", labels });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "LABELS_FETCH_FAILED",
+      "Error fetching labels",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /labels:
+ *   post:
+ *     summary: Create a label
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: "#22c55e"
+ *     responses:
+ *       201:
+ *         description: Label created
+ *       409:
+ *         description: Duplicate name or label limit reached
+ */
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const { fields, error: validationError } = buildLabelFields(req.body);
+    if (validationError) {
+      return sendError(res, 400, "VALIDATION_ERROR", validationError);
+    }
+
+    const count = await Label.countDocuments({ owner: req.user.userId });
+    if (count >= maxLabelsPerUser) {
+      return sendError(
+        res,
+        409,
+        "LABEL_LIMIT",
+        `You can have at most ${maxLabelsPerUser} labels`
+      );
+    }
+
+    const label = await Label.create({ ...fields, owner: req.user.userId });
+    res.status(201).json({ message: "Label created", label });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateLabel(res);
+    }
+    return sendError(res, 500, "LABEL_CREATE_FAILED", "Error creating label", [
+      error.message,
+    ]);
+  }
+});
+
+/**
+ * @swagger
+ * /labels/{id}:
+ *   patch:
+ *     summary: Rename or recolor a label
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Label updated
+ *       404:
+ *         description: Label not found
+ *       409:
+ *         description: Duplicate name
+ */
+router.patch("/:id", requireAuth, async (req, res) => {
+  try {
+    const { fields, error: validationError } = buildLabelFields(req.body, {
+      partial: true,
+    });
+    if (validationError) {
+      return sendError(res, 400, "VALIDATION_ERROR", validationError);
+    }
+
+    const label = await loadOwnLabel(req, res);
+    if (!label) {
+      return;
+    }
+    label.set(fields);
+    await label.save();
+
+    res.status(200).json({ message: "Label updated", label });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateLabel(res);
+    }
+    return sendError(res, 500, "LABEL_UPDATE_FAILED", "Error updating label", [
+      error.message,
+    ]);
+  }
+});
+
+/**
+ * @swagger
+ * /labels/{id}:
+ *   delete:
+ *     summary: Delete a label and detach it from every task
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Label deleted
+ *       404:
+ *         description: Label not found
+ */
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    const label = await loadOwnLabel(req, res);
+    if (!label) {
+      return;
+    }
+
+    // Delete first so the label cannot be attached again in between. Trashed
+    // tasks are detached too, or restoring them would bring the label back;
+    // naming deletedAt keeps the soft-delete hook from hiding them.
+    await label.deleteOne();
+    const { modifiedCount } = await Task.updateMany(
+      {
+        labels: label._id,
+        $or: [{ deletedAt: null }, { deletedAt: { $type: "date" } }],
+      },
+      { $pull: { labels: label._id } }
+    );
+
+    res.status(200).json({
+      message: "Label deleted",
+      detachedFrom: modifiedCount,
+    });
+  } catch (error) {
+    return sendError(res, 500, "LABEL_DELETE_FAILED", "Error deleting label", [
+      error.message,
+    ]);
+  }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+import { Router } from "express";
+import Notification from "../models/Notification.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { sendError } from "../utils/errorResponse.js";
+import { parsePagination } from "../utils/pagination.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notifications for the current user
+ */
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List the caller's notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: string
+ *         description: Set true to only return unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notifications fetched
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { maxLimit: 100 });
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const filter = { userId: req.user.userId };
+    if (req.query.unread === "true") {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter)
+        .sort({ created_at: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.user.userId, readAt: null }),
+    ]);
+
+    res.status(200).json({
+      message: "Notifications fetched",
+      notifications,
+      unread,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "NOTIFICATIONS_FETCH_FAILED",
+      "Error fetching notifications",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   patch:
+ *     summary: Mark all of the caller's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.patch("/read-all", requireAuth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.userId, readAt: null },
+      { readAt: new Date() }
+    );
+    res.status(200).json({
+      message: "Notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "NOTIFICATIONS_UPDATE_FAILED",
+      "Error updating notifications",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.patch("/:id/read", requireAuth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId },
+      { readAt: new Date() },
+      { new: true }
+    );
+    if (!notification) {
+      return sendError(
+        res,
+        404,
+        "NOTIFICATION_NOT_FOUND",
+        "Notification not found"
+      );
+    }
+    res.status(200).json({
+      message: "Notification marked as read",
+      notification,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "NOTIFICATION_UPDATE_FAILED",
+      "Error updating notification",
+      [error.message]
+    );
+  }
+});
+
+export default router;
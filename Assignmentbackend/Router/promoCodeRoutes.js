@@ -0,0 +1,435 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import PromoCode, { PROMO_TYPES } from "../models/PromoCode.js";
+import Experience from "../models/Experience.js";
+import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
+import { sendError } from "../utils/errorResponse.js";
+import { parsePagination } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { normalizeCurrency } from "../utils/pricing.js";
+
+const router = Router();
+
+const codePattern = /^[A-Z0-9_-]{3,32}$/;
+
+const parseInteger = (value) =>
+  typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+const auditPromoCode = (req, action, promo, changes = {}) =>
+  recordAudit(req, {
+    action: `promo_code.${action}`,
+    entityType: "promo_code",
+    entityId: promo._id,
+    ...changes,
+  });
+
+// Validates the limits that can be set on create and changed later. Returns
+// { fields } or { error }.
+const buildLimitFields = ({ maxUses, expiresAt, active }) => {
+  const fields = {};
+  if (maxUses !== undefined) {
+    const parsed = maxUses === null ? null : parseInteger(maxUses);
+    if (parsed !== null && (!Number.isInteger(parsed) || parsed < 1)) {
+      return { error: "maxUses must be an integer >= 1 or null" };
+    }
+    fields.maxUses = parsed;
+  }
+  if (expiresAt !== undefined) {
+    const date = expiresAt === null ? null : new Date(expiresAt);
+    if (date && (Number.isNaN(date.getTime()) || date <= new Date())) {
+      return { error: "expiresAt must be a future datetime or null" };
+    }
+    fields.expiresAt = date;
+  }
+  if (active !== undefined) {
+    if (typeof active !== "boolean") {
+      return { error: "active must be a boolean" };
+    }
+    fields.active = active;
+  }
+  return { fields };
+};
+
+// Scoped experiences must exist and, for hosts, be their own. Sends the error
+// response itself and returns null when the list is not acceptable.
+const resolveScope = async (req, res, experienceIds) => {
+  if (
+    !Array.isArray(experienceIds) ||
+    experienceIds.some((id) => !mongoose.isValidObjectId(id))
+  ) {
+    sendError(
+      res,
+      400,
+      "VALIDATION_ERROR",
+      "experienceIds must be an array of experience ids"
+    );
+    return null;
+  }
+  const ids = [...new Set(experienceIds.map(String))];
+  const experiences = await Experience.find({ _id: { $in: ids } }, "createdBy");
+  if (experiences.length !== ids.length) {
+    sendError(res, 404, "EXPERIENCE_NOT_FOUND", "Experience not found");
+    return null;
+  }
+  if (
+    req.user.role !== "admin" &&
+    experiences.some(
+      (experience) => experience.createdBy.toString() !== req.user.userId
+    )
+  ) {
+    sendError(
+      res,
+      403,
+      "PROMO_FORBIDDEN",
+      "Promo codes can only cover your own experiences"
+    );
+    return null;
+  }
+  return ids;
+};
+
+const loadPromoCode = async (req, res) => {
+  const promo = mongoose.isValidObjectId(req.params.id)
+    ? await PromoCode.findById(req.params.id)
+    : null;
+  if (!promo) {
+    sendError(res, 404, "PROMO_NOT_FOUND", "Promo code not found");
+    return null;
+  }
+  if (
+    promo.createdBy.toString() !== req.user.userId &&
+    req.user.role !== "admin"
+  ) {
+    sendError(res, 403, "PROMO_FORBIDDEN", "Access denied");
+    return null;
+  }
+  return promo;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: PromoCodes
+ *   description: Discount codes hosts hand out for their experiences
+ */
+/**
+ * @swagger
+ * /promo-codes:
+ *   get:
+ *     summary: List promo codes, newest first
+ *     description: Hosts see their own codes; admins see every code.
+ *     tags: [PromoCodes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Promo codes fetched
+ *       403:
+ *         description: Access denied
+ */
+router.get("/", requireAuth, requireRole(["host", "admin"]), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { maxLimit: 100 });
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const filter =
+      req.user.role === "admin" ? {} : { createdBy: req.user.userId };
+    const [promoCodes, total] = await Promise.all([
+      PromoCode.find(filter)
+        .populate("experienceIds", "title")
+        .sort({ created_at: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      PromoCode.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Promo codes fetched",
+      promoCodes,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "PROMO_FETCH_FAILED",
+      "Error fetching promo codes",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /promo-codes:
+ *   post:
+ *     summary: Create a promo code (host or admin)
+ *     tags: [PromoCodes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, type, value]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 3-32 letters, digits, _ or -; case-insensitive
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: integer
+ *                 description: Percent off (1-100) or amount off per booking
+ *               currency:
+ *                 type: string
+ *                 description: Required for fixed codes
+ *               experienceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Defaults to every experience the creator hosts
+ *               maxUses:
+ *                 type: integer
+ *                 nullable: true
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Promo code created
+ *       403:
+ *         description: Access denied
+ *       409:
+ *         description: Code already exists
+ */
+router.post("/", requireAuth, requireRole(["host", "admin"]), async (req, res) => {
+  try {
+    const { type, currency } = req.body;
+    const code =
+      typeof req.body.code === "string"
+        ? req.body.code.trim().toUpperCase()
+        : "";
+    if (!codePattern.test(code)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Code must be 3-32 letters, digits, _ or -"
+      );
+    }
+    if (!PROMO_TYPES.includes(type)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Type must be percentage or fixed"
+      );
+    }
+    const value = parseInteger(req.body.value);
+    if (!Number.isInteger(value) || value < 1) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Value must be an integer >= 1"
+      );
+    }
+    if (type === "percentage" && value > 100) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Percentage codes cannot exceed 100"
+      );
+    }
+    const fixedCurrency = type === "fixed" ? normalizeCurrency(currency) : null;
+    if (type === "fixed" && !fixedCurrency) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Fixed codes need a three-letter currency like USD"
+      );
+    }
+    const { fields, error: limitError } = buildLimitFields(req.body);
+    if (limitError) {
+      return sendError(res, 400, "VALIDATION_ERROR", limitError);
+    }
+
+    let experienceIds = [];
+    if (req.body.experienceIds !== undefined) {
+      experienceIds = await resolveScope(req, res, req.body.experienceIds);
+      if (!experienceIds) {
+        return;
+      }
+    }
+
+    const promo = await PromoCode.create({
+      ...fields,
+      code,
+      type,
+      value,
+      currency: fixedCurrency,
+      experienceIds,
+      createdBy: req.user.userId,
+    });
+    await auditPromoCode(req, "create", promo, { after: promo });
+
+    res.status(201).json({ message: "Promo code created", promoCode: promo });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendError(
+        res,
+        409,
+        "PROMO_EXISTS",
+        "A promo code with this code already exists"
+      );
+    }
+    return sendError(
+      res,
+      500,
+      "PROMO_CREATE_FAILED",
+      "Error creating promo code",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /promo-codes/{id}:
+ *   patch:
+ *     summary: Change a promo code's limits or scope (creator or admin)
+ *     description: >
+ *       The code, type and value cannot change. Set active to false to stop a
+ *       code from being used; bookings already made keep their price.
+ *     tags: [PromoCodes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               active:
+ *                 type: boolean
+ *               maxUses:
+ *                 type: integer
+ *                 nullable: true
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               experienceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Promo code updated
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Promo code not found
+ *       409:
+ *         description: maxUses is below the uses so far
+ */
+router.patch("/:id", requireAuth, requireRole(["host", "admin"]), async (req, res) => {
+  try {
+    const { fields, error: limitError } = buildLimitFields(req.body);
+    if (limitError) {
+      return sendError(res, 400, "VALIDATION_ERROR", limitError);
+    }
+    if (
+      Object.keys(fields).length === 0 &&
+      req.body.experienceIds === undefined
+    ) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "No updatable fields provided"
+      );
+    }
+
+    const promo = await loadPromoCode(req, res);
+    if (!promo) {
+      return;
+    }
+    if (req.body.experienceIds !== undefined) {
+      fields.experienceIds = await resolveScope(
+        req,
+        res,
+        req.body.experienceIds
+      );
+      if (!fields.experienceIds) {
+        return;
+      }
+    }
+
+    // The uses guard keeps a concurrent redemption from ending up above the
+    // new limit.
+    const filter = { _id: promo._id };
+    if (fields.maxUses) {
+      filter.uses = { $lte: fields.maxUses };
+    }
+    const updated = await PromoCode.findOneAndUpdate(
+      filter,
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return sendError(
+        res,
+        409,
+        "PROMO_MAX_USES_BELOW_USES",
+        "maxUses cannot be lower than the uses so far"
+      );
+    }
+    await auditPromoCode(req, "update", updated, {
+      before: promo,
+      after: updated,
+    });
+
+    res.status(200).json({ message: "Promo code updated", promoCode: updated });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "PROMO_UPDATE_FAILED",
+      "Error updating promo code",
+      [error.message]
+    );
+  }
+});
+
+export default router;
@@ -0,0 +1,443 @@
+import { Router } from "express";
+import Review from "../models/Review.js";
+import Experience from "../models/Experience.js";
+import Booking from "../models/Booking.js";
+import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
+import { sendError } from "../utils/errorResponse.js";
+import { parsePagination } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { refreshExperienceRating } from "../utils/reviews.js";
+
+// Mounted at /experiences/:id/reviews, so :id is the experience id.
+const router = Router({ mergeParams: true });
+
+const validateText = (value, label) => {
+  if (typeof value !== "string" || !value.trim()) {
+    return `${label} is required`;
+  }
+  if (value.trim().length > 2000) {
+    return `${label} must be at most 2000 characters`;
+  }
+  return null;
+};
+
+const auditReview = (req, action, review, changes = {}) =>
+  recordAudit(req, {
+    action: `review.${action}`,
+    entityType: "review",
+    entityId: review._id,
+    ...changes,
+  });
+
+const loadExperience = async (req, res) => {
+  const experience = await Experience.findById(req.params.id);
+  if (!experience) {
+    sendError(res, 404, "EXPERIENCE_NOT_FOUND", "Experience not found");
+    return null;
+  }
+  return experience;
+};
+
+const loadReview = async (req, res) => {
+  const review = await Review.findOne({
+    _id: req.params.reviewId,
+    experienceId: req.params.id,
+  });
+  if (!review) {
+    sendError(res, 404, "REVIEW_NOT_FOUND", "Review not found");
+    return null;
+  }
+  return review;
+};
+
+/**
+ * @swagger
+ * /experiences/{id}/reviews:
+ *   get:
+ *     summary: List an experience's reviews, newest first
+ *     description: Hidden reviews are left out.
+ *     tags: [Experiences]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Reviews fetched
+ *       404:
+ *         description: Experience not found
+ */
+router.get("/", async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { maxLimit: 100 });
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+    const experience = await loadExperience(req, res);
+    if (!experience) {
+      return;
+    }
+
+    const filter = { experienceId: experience._id, hiddenAt: null };
+    const [reviews, total] = await Promise.all([
+      Review.find(filter, "-hiddenBy -hiddenReason")
+        .populate("userId", "name")
+        .sort({ created_at: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Review.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Reviews fetched",
+      reviews,
+      rating: {
+        average: experience.ratingAverage,
+        count: experience.ratingCount,
+      },
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "REVIEWS_FETCH_FAILED",
+      "Error fetching reviews",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/reviews:
+ *   post:
+ *     summary: Review an experience you attended
+ *     description: >
+ *       Needs a confirmed booking for a session that has started. Each user
+ *       can review an experience once.
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating, body]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               body:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Review created
+ *       403:
+ *         description: No confirmed booking for this experience
+ *       409:
+ *         description: Experience has not happened yet, or already reviewed
+ */
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const { rating } = req.body;
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Rating must be an integer from 1 to 5"
+      );
+    }
+    const validationError = validateText(req.body.body, "Review body");
+    if (validationError) {
+      return sendError(res, 400, "VALIDATION_ERROR", validationError);
+    }
+
+    const experience = await loadExperience(req, res);
+    if (!experience) {
+      return;
+    }
+    const bookings = await Booking.find({
+      experienceId: experience._id,
+      userId: req.user.userId,
+      status: "confirmed",
+    }).populate("sessionId", "startTime");
+    if (!bookings.length) {
+      return sendError(
+        res,
+        403,
+        "REVIEW_NOT_ALLOWED",
+        "Only guests with a confirmed booking can review this experience"
+      );
+    }
+    const now = new Date();
+    const booking = bookings.find(
+      (entry) => entry.sessionId && entry.sessionId.startTime <= now
+    );
+    if (!booking) {
+      return sendError(
+        res,
+        409,
+        "REVIEW_TOO_EARLY",
+        "Experiences can be reviewed once they have started"
+      );
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        experienceId: experience._id,
+        userId: req.user.userId,
+        bookingId: booking._id,
+        rating,
+        body: req.body.body.trim(),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(
+          res,
+          409,
+          "REVIEW_EXISTS",
+          "You have already reviewed this experience"
+        );
+      }
+      throw error;
+    }
+    await refreshExperienceRating(experience._id);
+    await auditReview(req, "create", review, { after: review });
+
+    res.status(201).json({ message: "Review created", review });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "REVIEW_CREATE_FAILED",
+      "Error creating review",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/reviews/{reviewId}/reply:
+ *   post:
+ *     summary: Reply publicly to a review (experience host only)
+ *     description: Each review can have one reply.
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Reply added
+ *       403:
+ *         description: Not the experience's host
+ *       409:
+ *         description: The review already has a reply
+ */
+router.post("/:reviewId/reply", requireAuth, async (req, res) => {
+  try {
+    const validationError = validateText(req.body.body, "Reply body");
+    if (validationError) {
+      return sendError(res, 400, "VALIDATION_ERROR", validationError);
+    }
+
+    const experience = await loadExperience(req, res);
+    if (!experience) {
+      return;
+    }
+    if (experience.createdBy.toString() !== req.user.userId) {
+      return sendError(
+        res,
+        403,
+        "REVIEW_FORBIDDEN",
+        "Only the host can reply to reviews"
+      );
+    }
+    const review = await loadReview(req, res);
+    if (!review) {
+      return;
+    }
+
+    // Conditional update so two concurrent replies cannot both land.
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, reply: null },
+      { reply: { body: req.body.body.trim(), author: req.user.userId } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return sendError(
+        res,
+        409,
+        "REVIEW_REPLY_EXISTS",
+        "This review already has a reply"
+      );
+    }
+    await auditReview(req, "reply", updated, {
+      before: review,
+      after: updated,
+    });
+
+    res.status(201).json({ message: "Reply added", review: updated });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "REVIEW_REPLY_FAILED",
+      "Error replying to review",
+      [error.message]
+    );
+  }
+});
+
+// Factory for the admin hide/unhide routes.
+const setReviewHidden = (hidden) => async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) {
+      return;
+    }
+    if (Boolean(review.hiddenAt) === hidden) {
+      return sendError(
+        res,
+        409,
+        hidden ? "REVIEW_ALREADY_HIDDEN" : "REVIEW_NOT_HIDDEN",
+        hidden ? "Review is already hidden" : "Review is not hidden"
+      );
+    }
+
+    const before = review.toObject();
+    review.hiddenAt = hidden ? new Date() : null;
+    review.hiddenBy = hidden ? req.user.userId : null;
+    review.hiddenReason = hidden ? `${req.body?.reason ?? ""}`.trim() : "";
+    await review.save();
+    await refreshExperienceRating(review.experienceId);
+    await auditReview(req, hidden ? "hide" : "unhide", review, {
+      before,
+      after: review,
+    });
+
+    res.status(200).json({
+      message: hidden ? "Review hidden" : "Review restored",
+      review,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "REVIEW_MODERATION_FAILED",
+      "Error moderating review",
+      [error.message]
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /experiences/{id}/reviews/{reviewId}/hide:
+ *   patch:
+ *     summary: Hide an abusive review (admin only)
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review hidden
+ *       409:
+ *         description: Review is already hidden
+ */
+router.patch("/:reviewId/hide", requireAuth, requireRole("admin"), setReviewHidden(true));
+
+/**
+ * @swagger
+ * /experiences/{id}/reviews/{reviewId}/unhide:
+ *   patch:
+ *     summary: Make a hidden review visible again (admin only)
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review restored
+ *       409:
+ *         description: Review is not hidden
+ */
+router.patch("/:reviewId/unhide", requireAuth, requireRole("admin"), setReviewHidden(false));
+
+export default router;
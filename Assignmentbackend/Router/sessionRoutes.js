@@ -0,0 +1,599 @@
+import { Router } from "express";
+import mongoose from "mongoose";
+import Experience from "../models/Experience.js";
+import ExperienceSession from "../models/ExperienceSession.js";
+import Booking from "../models/Booking.js";
+import WaitlistEntry, {
+  ACTIVE_WAITLIST_STATUSES,
+} from "../models/WaitlistEntry.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { sendError } from "../utils/errorResponse.js";
+import { parsePagination } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { offerFreedSeats } from "../utils/waitlist.js";
+import {
+  buildSessionDates,
+  createSessions,
+  emailAttendees,
+  findAttendees,
+  notifyAttendees,
+  syncExperienceStart,
+} from "../utils/sessions.js";
+
+// Mounted at /experiences/:id/sessions, so :id is the experience id.
+const router = Router({ mergeParams: true });
+
+const parseInteger = (value) =>
+  typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const auditSession = (req, action, session, changes = {}) =>
+  recordAudit(req, {
+    action: `session.${action}`,
+    entityType: "session",
+    entityId: session._id,
+    ...changes,
+  });
+
+// Loads the experience for a host-side request, sending the error response
+// itself and returning null when the caller may not manage its sessions.
+const loadOwnedExperience = async (req, res) => {
+  const experience = await Experience.findById(req.params.id);
+  if (!experience) {
+    sendError(res, 404, "EXPERIENCE_NOT_FOUND", "Experience not found");
+    return null;
+  }
+  if (
+    experience.createdBy.toString() !== req.user.userId &&
+    req.user.role !== "admin"
+  ) {
+    sendError(res, 403, "EXPERIENCE_FORBIDDEN", "Access denied");
+    return null;
+  }
+  if (experience.status === "blocked" && req.user.role !== "admin") {
+    sendError(
+      res,
+      409,
+      "EXPERIENCE_BLOCKED",
+      "Blocked experiences cannot be edited"
+    );
+    return null;
+  }
+  return experience;
+};
+
+const loadSession = async (req, res) => {
+  const session = mongoose.isValidObjectId(req.params.sessionId)
+    ? await ExperienceSession.findOne({
+        _id: req.params.sessionId,
+        experienceId: req.params.id,
+      })
+    : null;
+  if (!session) {
+    sendError(res, 404, "SESSION_NOT_FOUND", "Session not found");
+    return null;
+  }
+  return session;
+};
+
+/**
+ * @swagger
+ * /experiences/{id}/sessions:
+ *   get:
+ *     summary: List a published experience's sessions, soonest first
+ *     tags: [Experiences]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: includeCancelled
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions fetched (each includes seatsRemaining)
+ *       404:
+ *         description: Experience not found
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { from, to, includeCancelled } = req.query;
+    const fromDate = from ? parseDate(from) : new Date();
+    const toDate = parseDate(to);
+    if (!fromDate) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Invalid from datetime");
+    }
+    if (to && !toDate) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Invalid to datetime");
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const experience = await Experience.findOne({
+      _id: req.params.id,
+      status: "published",
+    });
+    if (!experience) {
+      return sendError(
+        res,
+        404,
+        "EXPERIENCE_NOT_FOUND",
+        "Experience not found"
+      );
+    }
+
+    const filter = {
+      experienceId: experience._id,
+      startTime: { $gte: fromDate },
+    };
+    if (toDate) {
+      filter.startTime.$lte = toDate;
+    }
+    if (includeCancelled !== "true") {
+      filter.status = "scheduled";
+    }
+
+    const [sessions, total] = await Promise.all([
+      ExperienceSession.find(filter)
+        .sort({ startTime: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      ExperienceSession.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Sessions fetched",
+      sessions,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "SESSIONS_FETCH_FAILED",
+      "Error fetching sessions",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/sessions:
+ *   post:
+ *     summary: Add sessions to an experience (owner host or admin)
+ *     description: >
+ *       Adds one session, or a series when recurrence is given (same rule
+ *       format as POST /experiences). Start times the experience already has
+ *       are skipped.
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [start_time]
+ *             properties:
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Defaults to the experience's capacity
+ *               recurrence:
+ *                 type: object
+ *                 properties:
+ *                   rule:
+ *                     type: string
+ *                   exceptions:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       201:
+ *         description: Sessions created
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Experience not found
+ */
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const startTime = parseDate(req.body.start_time ?? req.body.startTime);
+    if (!startTime) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Start time must be a valid datetime"
+      );
+    }
+    const capacity =
+      req.body.capacity === undefined ? null : parseInteger(req.body.capacity);
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Capacity must be an integer >= 1"
+      );
+    }
+    const { dates, error: recurrenceError } = buildSessionDates(
+      startTime,
+      req.body.recurrence
+    );
+    if (recurrenceError) {
+      return sendError(res, 400, "VALIDATION_ERROR", recurrenceError);
+    }
+
+    const experience = await loadOwnedExperience(req, res);
+    if (!experience) {
+      return;
+    }
+
+    const sessions = await createSessions(
+      experience._id,
+      dates,
+      capacity ?? experience.capacity
+    );
+    await syncExperienceStart(experience._id);
+    await Promise.all(
+      sessions.map((session) => auditSession(req, "create", session))
+    );
+
+    res.status(201).json({
+      message: "Sessions created",
+      sessions,
+      skipped: dates.length - sessions.length,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "SESSION_CREATE_FAILED",
+      "Error creating sessions",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/sessions/{sessionId}:
+ *   patch:
+ *     summary: Reschedule or resize a session (owner host or admin)
+ *     description: >
+ *       Capacity cannot drop below the booked seats. Moving a booked session
+ *       emails its attendees; extra capacity goes to the waitlist first.
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start_time:
+ *                 type: string
+ *                 format: date-time
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Session updated
+ *       404:
+ *         description: Experience or session not found
+ *       409:
+ *         description: >
+ *           SESSION_CANCELLED, SESSION_EXISTS or CAPACITY_BELOW_BOOKED
+ */
+router.patch("/:sessionId", requireAuth, async (req, res) => {
+  try {
+    const updates = {};
+    const rawStartTime = req.body.start_time ?? req.body.startTime;
+    if (rawStartTime !== undefined) {
+      updates.startTime = parseDate(rawStartTime);
+      if (!updates.startTime) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "Start time must be a valid datetime"
+        );
+      }
+    }
+    if (req.body.capacity !== undefined) {
+      updates.capacity = parseInteger(req.body.capacity);
+      if (!Number.isInteger(updates.capacity) || updates.capacity < 1) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "Capacity must be an integer >= 1"
+        );
+      }
+    }
+    if (Object.keys(updates).length === 0) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "No updatable fields provided"
+      );
+    }
+
+    const experience = await loadOwnedExperience(req, res);
+    if (!experience) {
+      return;
+    }
+    const session = await loadSession(req, res);
+    if (!session) {
+      return;
+    }
+    if (session.status === "cancelled") {
+      return sendError(
+        res,
+        409,
+        "SESSION_CANCELLED",
+        "Cancelled sessions cannot be edited"
+      );
+    }
+
+    // The seatsBooked guard keeps a concurrent booking from ending up above
+    // the new capacity.
+    const filter = { _id: session._id, status: "scheduled" };
+    if (updates.capacity !== undefined) {
+      filter.seatsBooked = { $lte: updates.capacity };
+    }
+    let updated;
+    try {
+      updated = await ExperienceSession.findOneAndUpdate(
+        filter,
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        return sendError(
+          res,
+          409,
+          "SESSION_EXISTS",
+          "The experience already has a session at that time"
+        );
+      }
+      throw error;
+    }
+    if (!updated) {
+      return sendError(
+        res,
+        409,
+        "CAPACITY_BELOW_BOOKED",
+        "Capacity cannot be lower than the seats already booked"
+      );
+    }
+    await syncExperienceStart(experience._id);
+
+    let attendeesNotified = 0;
+    if (updated.startTime.getTime() !== session.startTime.getTime()) {
+      attendeesNotified = await notifyAttendees(
+        { sessionId: updated._id },
+        `Update to your booking: ${experience.title}`,
+        [
+          `The host moved your session of "${experience.title}".`,
+          `Old start time: ${session.startTime.toISOString()}`,
+          `New start time: ${updated.startTime.toISOString()}`,
+          "",
+          "If the new time does not work for you, you can cancel your booking.",
+        ].join("\n")
+      );
+    }
+    if (updated.capacity > session.capacity) {
+      await offerFreedSeats(updated._id);
+    }
+
+    await auditSession(req, "update", updated, {
+      before: session,
+      after: updated,
+      details: { experienceId: experience._id, attendeesNotified },
+    });
+
+    res.status(200).json({
+      message: "Session updated",
+      session: updated,
+      attendeesNotified,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "SESSION_UPDATE_FAILED",
+      "Error updating session",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /experiences/{id}/sessions/{sessionId}/cancel:
+ *   post:
+ *     summary: Cancel a session (owner host or admin)
+ *     description: >
+ *       Cancels the session's confirmed bookings and waitlist entries and
+ *       emails the attendees. Other sessions are not affected.
+ *     tags: [Experiences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session cancelled
+ *       404:
+ *         description: Experience or session not found
+ *       409:
+ *         description: Session already cancelled
+ */
+router.post("/:sessionId/cancel", requireAuth, async (req, res) => {
+  try {
+    const experience = await loadOwnedExperience(req, res);
+    if (!experience) {
+      return;
+    }
+    const session = await loadSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    const cancelled = await ExperienceSession.findOneAndUpdate(
+      { _id: session._id, status: "scheduled" },
+      { status: "cancelled", cancelledAt: new Date(), seatsBooked: 0 },
+      { new: true }
+    );
+    if (!cancelled) {
+      return sendError(
+        res,
+        409,
+        "SESSION_CANCELLED",
+        "Session is already cancelled"
+      );
+    }
+
+    // Nothing can book a cancelled session, so the attendees found now are
+    // exactly the bookings cancelled below. They are emailed only once
+    // everything is cancelled.
+    const attendees = await findAttendees({ sessionId: cancelled._id });
+    const now = new Date();
+    const [bookings, waitlist] = await Promise.all([
+      Booking.updateMany(
+        { sessionId: cancelled._id, status: "confirmed" },
+        { status: "cancelled", cancelledAt: now }
+      ),
+      WaitlistEntry.updateMany(
+        {
+          sessionId: cancelled._id,
+          status: { $in: ACTIVE_WAITLIST_STATUSES },
+        },
+        { status: "cancelled" }
+      ),
+    ]);
+    await syncExperienceStart(experience._id);
+
+    const reason =
+      typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+    const attendeesNotified = await emailAttendees(
+      attendees,
+      `Cancelled: ${experience.title}`,
+      [
+        `The host cancelled the ${cancelled.startTime.toISOString()} session` +
+          ` of "${experience.title}".`,
+        ...(reason ? [`Reason: ${reason}`] : []),
+        "",
+        "Your booking has been cancelled.",
+      ].join("\n")
+    );
+
+    await auditSession(req, "cancel", cancelled, {
+      before: { status: session.status },
+      after: { status: cancelled.status },
+      details: {
+        experienceId: experience._id,
+        reason: reason || null,
+        bookingsCancelled: bookings.modifiedCount,
+        waitlistCancelled: waitlist.modifiedCount,
+      },
+    });
+
+    res.status(200).json({
+      message: "Session cancelled",
+      session: cancelled,
+      bookingsCancelled: bookings.modifiedCount,
+      attendeesNotified,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "SESSION_CANCEL_FAILED",
+      "Error cancelling session",
+      [error.message]
+    );
+  }
+});
+
+export default router;
@@ -0,0 +1,338 @@
+import { Router } from "express";
+import TaskComment from "../models/TaskComment.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { sendError } from "../utils/errorResponse.js";
+import { parsePagination } from "../utils/pagination.js";
+import { loadTask } from "../utils/taskAccess.js";
+import { notifyMentions, resolveMentions } from "../utils/taskActivity.js";
+
+// Mounted at /tasks/:id/comments, so :id is the task id.
+const router = Router({ mergeParams: true });
+
+const validateCommentBody = (body) => {
+  if (typeof body !== "string" || !body.trim()) {
+    return "Comment body is required";
+  }
+  if (body.trim().length > 2000) {
+    return "Comment body must be at most 2000 characters";
+  }
+  return null;
+};
+
+const loadComment = async (req, res, task) => {
+  const comment = await TaskComment.findOne({
+    _id: req.params.commentId,
+    taskId: task._id,
+    kind: "comment",
+  });
+  if (!comment) {
+    sendError(res, 404, "COMMENT_NOT_FOUND", "Comment not found");
+    return null;
+  }
+  return comment;
+};
+
+/**
+ * @swagger
+ * /tasks/{id}/comments:
+ *   get:
+ *     summary: List a task's comments and activity, oldest first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [comment, event]
+ *         description: Only return comments or only system events
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Thread fetched
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind && !["comment", "event"].includes(kind)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Kind must be comment or event"
+      );
+    }
+    const pagination = parsePagination(req.query, {
+      defaultLimit: 50,
+      maxLimit: 100,
+    });
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const task = await loadTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    const filter = { taskId: task._id };
+    if (kind) {
+      filter.kind = kind;
+    }
+    const [comments, total] = await Promise.all([
+      TaskComment.find(filter)
+        .populate("author", "name email")
+        .populate("mentions", "name email")
+        .sort({ created_at: 1, _id: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      TaskComment.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Comments fetched",
+      comments,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "COMMENTS_FETCH_FAILED",
+      "Error fetching comments",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/comments:
+ *   post:
+ *     summary: Comment on a task
+ *     description: >
+ *       Mention users as @email. Mentioned users who can see the task get a
+ *       task_mention notification.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added
+ */
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const validationError = validateCommentBody(req.body.body);
+    if (validationError) {
+      return sendError(res, 400, "VALIDATION_ERROR", validationError);
+    }
+
+    const task = await loadTask(req, res);
+    if (!task) {
+      return;
+    }
+
+    const body = req.body.body.trim();
+    const mentioned = await resolveMentions(task, body, req.user.userId);
+    const comment = await TaskComment.create({
+      taskId: task._id,
+      author: req.user.userId,
+      body,
+      mentions: mentioned.map((user) => user._id),
+    });
+    await notifyMentions(task, mentioned, req.user.email);
+
+    res.status(201).json({ message: "Comment added", comment });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "COMMENT_CREATE_FAILED",
+      "Error adding comment",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit your own comment
+ *     description: Only users newly mentioned by the edit are notified.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       403:
+ *         description: Not the comment's author
+ *       404:
+ *         description: Task or comment not found
+ */
+router.patch("/:commentId", requireAuth, async (req, res) => {
+  try {
+    const validationError = validateCommentBody(req.body.body);
+    if (validationError) {
+      return sendError(res, 400, "VALIDATION_ERROR", validationError);
+    }
+
+    const task = await loadTask(req, res);
+    if (!task) {
+      return;
+    }
+    const comment = await loadComment(req, res, task);
+    if (!comment) {
+      return;
+    }
+    if (comment.author.toString() !== req.user.userId) {
+      return sendError(
+        res,
+        403,
+        "COMMENT_FORBIDDEN",
+        "Only the author can edit a comment"
+      );
+    }
+
+    const body = req.body.body.trim();
+    const mentioned = await resolveMentions(task, body, req.user.userId);
+    const newlyMentioned = mentioned.filter(
+      (user) => !comment.mentions.some((id) => id.equals(user._id))
+    );
+    comment.body = body;
+    comment.mentions = mentioned.map((user) => user._id);
+    comment.editedAt = new Date();
+    await comment.save();
+    await notifyMentions(task, newlyMentioned, req.user.email);
+
+    res.status(200).json({ message: "Comment updated", comment });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "COMMENT_UPDATE_FAILED",
+      "Error updating comment",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment (author or admin)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Not the comment's author or an admin
+ *       404:
+ *         description: Task or comment not found
+ */
+router.delete("/:commentId", requireAuth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) {
+      return;
+    }
+    const comment = await loadComment(req, res, task);
+    if (!comment) {
+      return;
+    }
+    if (
+      comment.author.toString() !== req.user.userId &&
+      req.user.role !== "admin"
+    ) {
+      return sendError(
+        res,
+        403,
+        "COMMENT_FORBIDDEN",
+        "Only the author or an admin can delete a comment"
+      );
+    }
+
+    await comment.deleteOne();
+    res.status(200).json({ message: "Comment deleted" });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "COMMENT_DELETE_FAILED",
+      "Error deleting comment",
+      [error.message]
+    );
+  }
+});
+
+export default router;
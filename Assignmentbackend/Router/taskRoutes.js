@@ -1,18 +1,415 @@
 import { Router } from "express";
-import Task from "../models/Task.js";
+import mongoose from "mongoose";
+import Task, { COLLABORATOR_ROLES, TASK_PRIORITIES } from "../models/Task.js";
+import Label from "../models/Label.js";
+import { TRASH_RETENTION_DAYS } from "../models/plugins/softDelete.js";
+import User from "../models/User.js";
 import { requireAuth } from "../middleware/authMiddleware.js";
 import { sendError } from "../utils/errorResponse.js";
+import { parsePagination } from "../utils/pagination.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+import {
+  accessibleTaskFilter,
+  canAccessTask,
+  getTaskRole,
+  loadTask,
+} from "../utils/taskAccess.js";
+import { notifyTaskUser, recordTaskEvent } from "../utils/taskActivity.js";
+import { purgeTasks, restoreTask, trashTask } from "../utils/trash.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  checkTaskVersion,
+  isVersionConflict,
+  sendVersionConflict,
+  taskEtag,
+} from "../utils/taskVersion.js";
 
 const router = Router();
 
-const isOwnerOrAdmin = (task, user) =>
-  task.owner.toString() === user.userId || user.role === "admin";
+const taskStatuses = ["todo", "in_progress", "done"];
+const taskSortFields = [
+  "createdAt",
+  "updatedAt",
+  "title",
+  "status",
+  "dueDate",
+  "priority",
+];
+const dueSoonHours = Number(process.env.TASK_DUE_SOON_HOURS ?? 48);
+const maxChecklistItems = 100;
+const maxCollaborators = 20;
+const taskScopes = ["mine", "assigned", "shared"];
+const maxBulkOperations = 100;
+const bulkPermissions = {
+  status: "edit",
+  addLabel: "view",
+  removeLabel: "view",
+  delete: "manage",
+};
+
+// Only the caller's own labels are shown on a task.
+const ownLabels = (user) => ({
+  path: "labels",
+  select: "name color",
+  match: { owner: user.userId },
+});
+
+// Checks that `labelIds` is a list of labels owned by `userId`. Returns
+// { labels } with the ids, or { error }.
+const resolveLabels = async (labelIds, userId) => {
+  if (labelIds === undefined) {
+    return { labels: [] };
+  }
+  if (
+    !Array.isArray(labelIds) ||
+    labelIds.some((id) => !mongoose.isValidObjectId(id))
+  ) {
+    return { error: "Labels must be an array of label ids" };
+  }
+  const ids = [...new Set(labelIds.map(String))];
+  const count = await Label.countDocuments({
+    _id: { $in: ids },
+    owner: userId,
+  });
+  if (count !== ids.length) {
+    return { error: "Labels must be your own labels" };
+  }
+  return { labels: ids };
+};
+
+// Resolves a requested parent id. Returns {} when the field was not sent,
+// { parent: null } to detach, { parent } with the parent task, or { error }.
+// `task` is the task being updated, or null when creating one.
+const resolveParent = async (parentId, user, task = null) => {
+  if (parentId === undefined) {
+    return {};
+  }
+  if (parentId === null || parentId === "") {
+    return { parent: null };
+  }
+  if (!mongoose.isValidObjectId(parentId)) {
+    return { error: "Parent must be a valid task id" };
+  }
+  if (task && task._id.equals(parentId)) {
+    return { error: "A task cannot be its own parent" };
+  }
+
+  const parent = await Task.findById(parentId);
+  if (!parent || !canAccessTask(parent, user, "edit")) {
+    return { error: "Parent task not found" };
+  }
+  if (parent.parent) {
+    return { error: "Subtasks cannot have subtasks of their own" };
+  }
+  if (task) {
+    if (!parent.owner.equals(task.owner)) {
+      return { error: "Parent task must belong to the same owner" };
+    }
+    if (await Task.exists({ parent: task._id })) {
+      return { error: "A task with subtasks cannot become a subtask" };
+    }
+  }
+  return { parent };
+};
+
+// Adds subtask and checklist progress counts, plus the caller's role on each
+// task as `access`, to a page of tasks.
+const withProgress = async (tasks, user) => {
+  const counts = await Task.aggregate([
+    { $match: { parent: { $in: tasks.map((task) => task._id) } } },
+    {
+      $group: {
+        _id: "$parent",
+        total: { $sum: 1 },
+        done: { $sum: { $cond: [{ $eq: ["$status", "done"] }, 1, 0] } },
+      },
+    },
+  ]);
+  const subtaskCounts = new Map(
+    counts.map((count) => [count._id.toString(), count])
+  );
+
+  return tasks.map((task) => {
+    const subtasks = subtaskCounts.get(task._id.toString());
+    return {
+      ...task.toObject(),
+      access: getTaskRole(task, user),
+      progress: {
+        subtasks: { done: subtasks?.done ?? 0, total: subtasks?.total ?? 0 },
+        checklist: {
+          done: task.checklist.filter((item) => item.done).length,
+          total: task.checklist.length,
+        },
+      },
+    };
+  });
+};
+
+const validateChecklistText = (text) => {
+  if (typeof text !== "string" || !text.trim()) {
+    return "Checklist item text is required";
+  }
+  if (text.trim().length > 200) {
+    return "Checklist item text must be at most 200 characters";
+  }
+  return null;
+};
+
+// Picks dueDate, priority and reminderAt out of a request body. Fields that
+// were not sent are left out; dates sent as null are cleared.
+const parseScheduleFields = (body) => {
+  const fields = {};
+  for (const key of ["dueDate", "reminderAt"]) {
+    if (body[key] === undefined) {
+      continue;
+    }
+    if (body[key] === null || body[key] === "") {
+      fields[key] = null;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${key} must be a valid datetime` };
+    }
+    fields[key] = date;
+  }
+  if (body.priority !== undefined) {
+    if (!TASK_PRIORITIES.includes(body.priority)) {
+      return { error: "Priority must be low, medium, high, or urgent" };
+    }
+    fields.priority = body.priority;
+  }
+  return { fields };
+};
+
+// Builds the fields for a PATCH: only what was sent is changed.
+const buildTaskPatch = (body) => {
+  const fields = {};
+  if (body.title !== undefined) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      return { error: "Title cannot be empty" };
+    }
+    fields.title = body.title.trim();
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      return { error: "Description must be a string" };
+    }
+    fields.description = body.description?.trim() || "";
+  }
+  if (body.status !== undefined) {
+    if (!taskStatuses.includes(body.status)) {
+      return { error: "Status must be todo, in_progress, or done" };
+    }
+    fields.status = body.status;
+  }
+  const schedule = parseScheduleFields(body);
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+  Object.assign(fields, schedule.fields);
+  if (body.parent !== undefined) {
+    fields.parent = body.parent;
+  }
+  if (!Object.keys(fields).length) {
+    return { error: "Provide at least one field to update" };
+  }
+  return { fields };
+};
+
+const auditTask = (req, action, task, changes = {}) =>
+  recordAudit(req, {
+    action: `task.${action}`,
+    entityType: "task",
+    entityId: task._id,
+    ...changes,
+  });
+
+// Shared by PUT and PATCH once the body is validated. `fields.parent` is the
+// raw requested parent id and is resolved here.
+const updateTask = async (req, res, fields) => {
+  const task = await loadTask(req, res, "edit");
+  if (!task || !checkTaskVersion(req, res, task)) {
+    return;
+  }
+  const { parent: parentId, ...changes } = fields;
+  if (parentId !== undefined && !canAccessTask(task, req.user, "manage")) {
+    return sendError(
+      res,
+      403,
+      "TASK_FORBIDDEN",
+      "Only the owner can move a task under another parent"
+    );
+  }
+
+  const { parent, error: parentError } = await resolveParent(
+    parentId,
+    req.user,
+    task
+  );
+  if (parentError) {
+    return sendError(res, 400, "VALIDATION_ERROR", parentError);
+  }
+
+  const before = task.toObject();
+  const previousStatus = task.status;
+  task.set(changes);
+  if (parent !== undefined) {
+    task.parent = parent?._id ?? null;
+  }
+  await task.save();
+  if (task.status !== previousStatus) {
+    await recordTaskEvent(task, req.user.userId, "status_changed", {
+      from: previousStatus,
+      to: task.status,
+    });
+  }
+  await auditTask(req, "update", task, { before, after: task });
+
+  res.set("ETag", taskEtag(task));
+  res.status(200).json({ message: "Task updated", task });
+};
+
+// Applies one bulk operation with the same checks as the single-task routes.
+// Returns { audit } on success or { error: { code, message } }. The audit
+// entry is written by the caller once the change is known to stick.
+const applyBulkOperation = async (operation, user, session) => {
+  const { op, taskId, version } = operation ?? {};
+  if (!Object.hasOwn(bulkPermissions, op)) {
+    return {
+      error: {
+        code: "VALIDATION_ERROR",
+        message: `op must be one of ${Object.keys(bulkPermissions).join(", ")}`,
+      },
+    };
+  }
+  if (!mongoose.isValidObjectId(taskId)) {
+    return {
+      error: { code: "VALIDATION_ERROR", message: "taskId must be a task id" },
+    };
+  }
+
+  const task = await Task.findById(taskId).session(session);
+  if (!task) {
+    return { error: { code: "TASK_NOT_FOUND", message: "Task not found" } };
+  }
+  if (!canAccessTask(task, user, bulkPermissions[op])) {
+    return { error: { code: "TASK_FORBIDDEN", message: "Access denied" } };
+  }
+  if (version !== undefined && Number(version) !== task.__v) {
+    return {
+      error: {
+        code: "TASK_VERSION_CONFLICT",
+        message: "Task was changed by someone else",
+      },
+    };
+  }
+
+  if (op === "status") {
+    if (!taskStatuses.includes(operation.status)) {
+      return {
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Status must be todo, in_progress, or done",
+        },
+      };
+    }
+    const previousStatus = task.status;
+    task.status = operation.status;
+    await task.save({ session });
+    if (task.status !== previousStatus) {
+      await recordTaskEvent(
+        task,
+        user.userId,
+        "status_changed",
+        { from: previousStatus, to: task.status },
+        session
+      );
+    }
+    return {
+      audit: {
+        action: "update",
+        task,
+        changes: {
+          before: { status: previousStatus },
+          after: { status: task.status },
+          details: { bulk: true },
+        },
+      },
+    };
+  }
+
+  if (op === "addLabel" || op === "removeLabel") {
+    const label = mongoose.isValidObjectId(operation.labelId)
+      ? await Label.exists({
+          _id: operation.labelId,
+          owner: user.userId,
+        }).session(session)
+      : null;
+    if (!label) {
+      return {
+        error: { code: "LABEL_NOT_FOUND", message: "Label not found" },
+      };
+    }
+    await Task.updateOne(
+      { _id: task._id },
+      op === "addLabel"
+        ? { $addToSet: { labels: label._id } }
+        : { $pull: { labels: label._id } },
+      { session }
+    );
+    return {
+      audit: {
+        action: op === "addLabel" ? "label_add" : "label_remove",
+        task,
+        changes: { details: { labelId: label._id, bulk: true } },
+      },
+    };
+  }
+
+  const openSubtasks = await Task.countDocuments({
+    parent: task._id,
+    status: { $ne: "done" },
+  }).session(session);
+  if (openSubtasks > 0 && operation.cascade !== true) {
+    return {
+      error: {
+        code: "TASK_HAS_OPEN_SUBTASKS",
+        message: "Task has open subtasks; set cascade to delete them too",
+      },
+    };
+  }
+  const trashed = await trashTask(task, user.userId, session);
+  if (!trashed) {
+    return {
+      error: {
+        code: "TASK_VERSION_CONFLICT",
+        message: "Task was changed by someone else",
+      },
+    };
+  }
+  return {
+    audit: {
+      action: "delete",
+      task,
+      changes: { details: { ...trashed, bulk: true } },
+    },
+  };
+};
+
+const toBulkResult = (operation, index, error) => ({
+  index,
+  op: operation?.op,
+  taskId: operation?.taskId,
+  ok: !error,
+  ...(error && { error }),
+});
 
 const validateTaskInput = ({ title, status }) => {
   if (!title) {
     return "Title is required";
   }
-  if (status && !["todo", "in_progress", "done"].includes(status)) {
+  if (status && !taskStatuses.includes(status)) {
     return "Status must be todo, in_progress, or done";
   }
   return null;
@@ -47,6 +444,24 @@ const validateTaskInput = ({ title, status }) => {
  *               status:
  *                 type: string
  *                 enum: [todo, in_progress, done]
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               reminderAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When to create a reminder notification
+ *               parent:
+ *                 type: string
+ *                 description: Parent task id, making this a subtask
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Ids of the caller's labels
  *     responses:
  *       201:
  *         description: Task created
@@ -58,14 +473,41 @@ router.post("/", requireAuth, async (req, res) => {
     if (validationError) {
       return sendError(res, 400, "VALIDATION_ERROR", validationError);
     }
+    const schedule = parseScheduleFields(req.body);
+    if (schedule.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", schedule.error);
+    }
+    const { parent, error: parentError } = await resolveParent(
+      req.body.parent,
+      req.user
+    );
+    if (parentError) {
+      return sendError(res, 400, "VALIDATION_ERROR", parentError);
+    }
+    const { labels, error: labelError } = await resolveLabels(
+      req.body.labels,
+      req.user.userId
+    );
+    if (labelError) {
+      return sendError(res, 400, "VALIDATION_ERROR", labelError);
+    }
 
+    // Subtasks belong to whoever owns the parent task and start out shared
+    // with the same collaborators.
     const task = await Task.create({
       title: title.trim(),
       description: description?.trim() || "",
       status: status || "todo",
-      owner: req.user.userId,
+      owner: parent ? parent.owner : req.user.userId,
+      parent: parent?._id ?? null,
+      collaborators: parent?.collaborators.map((entry) => entry.toObject()),
+      labels,
+      ...schedule.fields,
     });
 
+    await auditTask(req, "create", task, { after: task });
+
+    res.set("ETag", taskEtag(task));
     res.status(201).json({ message: "Task created", task });
   } catch (error) {
     return sendError(res, 500, "TASK_CREATE_FAILED", "Error creating task", [
@@ -88,19 +530,246 @@ router.post("/", requireAuth, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Set true to fetch all tasks as admin
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [mine, assigned, shared]
+ *         description: >
+ *           mine = owned by the caller, assigned = assigned to the caller,
+ *           shared = shared with the caller. Defaults to all of these.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One status or a comma-separated list (todo,in_progress,done)
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive text search over title and description
+ *       - in: query
+ *         name: due
+ *         schema:
+ *           type: string
+ *           enum: [overdue, soon]
+ *         description: >
+ *           overdue = past dueDate, soon = due within TASK_DUE_SOON_HOURS;
+ *           both exclude done tasks
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *         description: One priority or a comma-separated list
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: A task id to list its subtasks, or "none" for top-level tasks
+ *       - in: query
+ *         name: label
+ *         schema:
+ *           type: string
+ *         description: One label id or a comma-separated list
+ *       - in: query
+ *         name: labelMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *         description: >
+ *           any = tasks with at least one of the labels (default),
+ *           all = tasks with every label
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, title, status, dueDate, priority]
+ *         description: Defaults to createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *         description: Defaults to 20
  *     responses:
  *       200:
- *         description: Tasks fetched
+ *         description: >
+ *           Tasks fetched, with a pagination block. Each task carries
+ *           progress.subtasks and progress.checklist as { done, total }.
+ *       400:
+ *         description: Invalid query parameter
  */
 router.get("/", requireAuth, async (req, res) => {
   try {
-    const { all } = req.query;
-    const filter =
-      req.user.role === "admin" && all === "true"
-        ? {}
-        : { owner: req.user.userId };
-    const tasks = await Task.find(filter).sort({ createdAt: -1 });
-    res.status(200).json({ message: "Tasks fetched", tasks });
+    const {
+      all,
+      status,
+      q,
+      due,
+      priority,
+      parent,
+      scope,
+      label,
+      labelMatch = "any",
+      sort = "createdAt",
+      order = "desc",
+    } = req.query;
+
+    const statuses = status ? `${status}`.split(",") : [];
+    if (statuses.some((value) => !taskStatuses.includes(value))) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Status must be todo, in_progress, or done"
+      );
+    }
+    const priorities = priority ? `${priority}`.split(",") : [];
+    if (priorities.some((value) => !TASK_PRIORITIES.includes(value))) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Priority must be low, medium, high, or urgent"
+      );
+    }
+    if (due && !["overdue", "soon"].includes(due)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Due must be overdue or soon"
+      );
+    }
+    if (scope && !taskScopes.includes(scope)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Scope must be mine, assigned, or shared"
+      );
+    }
+    const labelIds = label ? `${label}`.split(",") : [];
+    if (labelIds.some((id) => !mongoose.isValidObjectId(id))) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Label must be a label id or a comma-separated list of ids"
+      );
+    }
+    if (!["any", "all"].includes(labelMatch)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "labelMatch must be any or all"
+      );
+    }
+    if (parent && parent !== "none" && !mongoose.isValidObjectId(parent)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Parent must be a task id or none"
+      );
+    }
+    if (!taskSortFields.includes(sort)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `Sort must be one of ${taskSortFields.join(", ")}`
+      );
+    }
+    if (!["asc", "desc"].includes(order)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Order must be asc or desc"
+      );
+    }
+
+    const pagination = parsePagination(req.query, {
+      defaultLimit: 20,
+      maxLimit: 100,
+    });
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const filter = {};
+    const conditions = [];
+    if (scope === "mine") {
+      filter.owner = req.user.userId;
+    } else if (scope === "assigned") {
+      filter.assignee = req.user.userId;
+    } else if (scope === "shared") {
+      filter["collaborators.user"] = req.user.userId;
+    } else if (req.user.role !== "admin" || all !== "true") {
+      conditions.push(accessibleTaskFilter(req.user.userId));
+    }
+    if (statuses.length) {
+      filter.status = { $in: statuses };
+    }
+    if (priorities.length) {
+      filter.priority = { $in: priorities };
+    }
+    if (due) {
+      const now = new Date();
+      const soonLimit = new Date(now.getTime() + dueSoonHours * 3600000);
+      filter.dueDate =
+        due === "overdue" ? { $lt: now } : { $gte: now, $lte: soonLimit };
+      if (!statuses.length) {
+        filter.status = { $ne: "done" };
+      }
+    }
+    if (parent) {
+      filter.parent = parent === "none" ? null : parent;
+    }
+    if (labelIds.length) {
+      filter.labels =
+        labelMatch === "all" ? { $all: labelIds } : { $in: labelIds };
+    }
+    if (q && `${q}`.trim()) {
+      const pattern = new RegExp(escapeRegex(`${q}`.trim()), "i");
+      conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+    }
+    if (conditions.length) {
+      filter.$and = conditions;
+    }
+
+    const direction = order === "asc" ? 1 : -1;
+    const sortField = sort === "priority" ? "priorityRank" : sort;
+    const [tasks, total] = await Promise.all([
+      Task.find(filter)
+        .populate(ownLabels(req.user))
+        .sort({ [sortField]: direction, _id: direction })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Task.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Tasks fetched",
+      tasks: await withProgress(tasks, req.user),
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
   } catch (error) {
     return sendError(res, 500, "TASKS_FETCH_FAILED", "Error fetching tasks", [
       error.message,
@@ -108,11 +777,269 @@ router.get("/", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /tasks/bulk:
+ *   post:
+ *     summary: Apply several task operations in one request
+ *     description: >
+ *       Each operation gets the same permission checks as the matching
+ *       single-task route and its own entry in `results`. By default
+ *       operations are applied independently. With atomic=true they run in a
+ *       MongoDB transaction (needs a replica set) and nothing is applied
+ *       unless every operation succeeds.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [operations]
+ *             properties:
+ *               atomic:
+ *                 type: boolean
+ *               operations:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required: [op, taskId]
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [status, addLabel, removeLabel, delete]
+ *                     taskId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [todo, in_progress, done]
+ *                     labelId:
+ *                       type: string
+ *                     cascade:
+ *                       type: boolean
+ *                       description: For delete, also trash open subtasks
+ *                     version:
+ *                       type: integer
+ *                       description: The __v the operation is based on
+ *     responses:
+ *       200:
+ *         description: Operations processed; see results for each one
+ *       409:
+ *         description: Atomic mode and an operation failed; nothing was applied
+ *       501:
+ *         description: Atomic mode is not supported by this database
+ */
+router.post("/bulk", requireAuth, async (req, res) => {
+  try {
+    const { operations, atomic = false } = req.body;
+    if (
+      !Array.isArray(operations) ||
+      !operations.length ||
+      operations.length > maxBulkOperations
+    ) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        `operations must be an array of 1 to ${maxBulkOperations} items`
+      );
+    }
+    if (typeof atomic !== "boolean") {
+      return sendError(res, 400, "VALIDATION_ERROR", "atomic must be a boolean");
+    }
+
+    if (!atomic) {
+      const results = [];
+      for (const [index, operation] of operations.entries()) {
+        try {
+          const { error, audit } = await applyBulkOperation(
+            operation,
+            req.user,
+            null
+          );
+          results.push(toBulkResult(operation, index, error));
+          if (audit) {
+            await auditTask(req, audit.action, audit.task, audit.changes);
+          }
+        } catch (error) {
+          results.push(
+            toBulkResult(operation, index, {
+              code: isVersionConflict(error)
+                ? "TASK_VERSION_CONFLICT"
+                : "BULK_OPERATION_FAILED",
+              message: error.message,
+            })
+          );
+        }
+      }
+      const failed = results.filter((result) => !result.ok).length;
+      return res.status(200).json({
+        message: "Bulk operations processed",
+        results,
+        summary: { succeeded: results.length - failed, failed },
+      });
+    }
+
+    let results = [];
+    let audits = [];
+    let failedAt = -1;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // withTransaction may retry the whole callback on transient errors.
+        results = [];
+        audits = [];
+        failedAt = -1;
+        for (const [index, operation] of operations.entries()) {
+          const { error, audit } = await applyBulkOperation(
+            operation,
+            req.user,
+            session
+          );
+          results.push(toBulkResult(operation, index, error));
+          if (audit) {
+            audits.push(audit);
+          }
+          if (error) {
+            failedAt = index;
+            // Throwing aborts the transaction and rolls back earlier items.
+            throw new Error(error.message);
+          }
+        }
+      });
+    } catch (error) {
+      if (failedAt === -1) {
+        throw error;
+      }
+    } finally {
+      await session.endSession();
+    }
+
+    if (failedAt !== -1) {
+      return res.status(409).json({
+        error: {
+          code: "BULK_ABORTED",
+          message: `Operation ${failedAt} failed, so no changes were applied`,
+          details: [],
+        },
+        results,
+      });
+    }
+    for (const audit of audits) {
+      await auditTask(req, audit.action, audit.task, audit.changes);
+    }
+    res.status(200).json({
+      message: "Bulk operations applied",
+      results,
+      summary: { succeeded: results.length, failed: 0 },
+    });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
+    // IllegalOperation: transactions need a replica set or mongos.
+    if (error.code === 20) {
+      return sendError(
+        res,
+        501,
+        "BULK_TRANSACTIONS_UNAVAILABLE",
+        "Atomic mode needs MongoDB running as a replica set"
+      );
+    }
+    return sendError(
+      res,
+      500,
+      "BULK_OPERATIONS_FAILED",
+      "Error applying bulk operations",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/trash:
+ *   get:
+ *     summary: List tasks in the trash
+ *     description: >
+ *       Owners see their own trashed tasks; admins can pass all=true to see
+ *       everyone's. Each task shows when it will be purged.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Trashed tasks fetched
+ */
+router.get("/trash", requireAuth, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, {
+      defaultLimit: 20,
+      maxLimit: 100,
+    });
+    if (pagination.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", pagination.error);
+    }
+
+    const filter = { deletedAt: { $type: "date" } };
+    if (req.user.role !== "admin" || req.query.all !== "true") {
+      filter.owner = req.user.userId;
+    }
+    const [tasks, total] = await Promise.all([
+      Task.find(filter)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Task.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Trash fetched",
+      tasks: tasks.map((task) => ({
+        ...task.toObject(),
+        purgeAfter: new Date(
+          task.deletedAt.getTime() + TRASH_RETENTION_DAYS * 86400000
+        ),
+      })),
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+      },
+    });
+  } catch (error) {
+    return sendError(res, 500, "TRASH_FETCH_FAILED", "Error fetching trash", [
+      error.message,
+    ]);
+  }
+});
+
 /**
  * @swagger
  * /tasks/{id}:
  *   get:
  *     summary: Get task by id
+ *     description: >
+ *       The response carries an ETag for If-Match / If-None-Match. It changes
+ *       whenever the response does, including subtask progress and populated
+ *       users and labels; If-Match only checks the task version in it.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -130,14 +1057,21 @@ router.get("/", requireAuth, async (req, res) => {
  */
 router.get("/:id", requireAuth, async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const task = await loadTask(req, res);
     if (!task) {
-      return sendError(res, 404, "TASK_NOT_FOUND", "Task not found");
-    }
-    if (!isOwnerOrAdmin(task, req.user)) {
-      return sendError(res, 403, "TASK_FORBIDDEN", "Access denied");
+      return;
     }
-    res.status(200).json({ message: "Task fetched", task });
+    await task.populate([
+      { path: "collaborators.user", select: "name email" },
+      { path: "assignee", select: "name email" },
+      ownLabels(req.user),
+    ]);
+    const [taskWithProgress] = await withProgress([task], req.user);
+    const body = { message: "Task fetched", task: taskWithProgress };
+    // Express answers If-None-Match with 304 once the ETag is set; hashing
+    // the body keeps that from going stale.
+    res.set("ETag", taskEtag(task, body));
+    res.status(200).json(body);
   } catch (error) {
     return sendError(res, 500, "TASK_FETCH_FAILED", "Error fetching task", [
       error.message,
@@ -149,7 +1083,7 @@ router.get("/:id", requireAuth, async (req, res) => {
  * @swagger
  * /tasks/{id}:
  *   put:
- *     summary: Update task
+ *     summary: Update task (owner, admin or editor)
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -159,6 +1093,10 @@ router.get("/:id", requireAuth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -174,9 +1112,31 @@ router.get("/:id", requireAuth, async (req, res) => {
  *               status:
  *                 type: string
  *                 enum: [todo, in_progress, done]
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               reminderAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Parent task id; null detaches the subtask
+ *               version:
+ *                 type: integer
+ *                 description: The __v the change is based on
  *     responses:
  *       200:
- *         description: Task updated
+ *         description: Task updated; the new ETag is returned
+ *       409:
+ *         description: Version conflict
+ *       412:
+ *         description: If-Match did not match
  */
 router.put("/:id", requireAuth, async (req, res) => {
   try {
@@ -185,22 +1145,23 @@ router.put("/:id", requireAuth, async (req, res) => {
     if (validationError) {
       return sendError(res, 400, "VALIDATION_ERROR", validationError);
     }
-
-    const task = await Task.findById(req.params.id);
-    if (!task) {
-      return sendError(res, 404, "TASK_NOT_FOUND", "Task not found");
-    }
-    if (!isOwnerOrAdmin(task, req.user)) {
-      return sendError(res, 403, "TASK_FORBIDDEN", "Access denied");
+    const schedule = parseScheduleFields(req.body);
+    if (schedule.error) {
+      return sendError(res, 400, "VALIDATION_ERROR", schedule.error);
     }
 
-    task.title = title.trim();
-    task.description = description?.trim() || "";
-    task.status = status || task.status;
-    await task.save();
-
-    res.status(200).json({ message: "Task updated", task });
+    // PUT replaces the editable text fields; an omitted description is cleared.
+    await updateTask(req, res, {
+      title: title.trim(),
+      description: description?.trim() || "",
+      ...(status && { status }),
+      ...schedule.fields,
+      parent: req.body.parent,
+    });
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
     return sendError(res, 500, "TASK_UPDATE_FAILED", "Error updating task", [
       error.message,
     ]);
@@ -210,8 +1171,12 @@ router.put("/:id", requireAuth, async (req, res) => {
 /**
  * @swagger
  * /tasks/{id}:
- *   delete:
- *     summary: Delete task
+ *   patch:
+ *     summary: Partially update a task (owner, admin or editor)
+ *     description: >
+ *       Only the fields sent are changed. Send If-Match with the ETag from a
+ *       previous response (412 on mismatch) or `version` with the task's
+ *       __v (409 on mismatch) to avoid overwriting someone else's changes.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -221,22 +1186,136 @@ router.put("/:id", requireAuth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [todo, in_progress, done]
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               reminderAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *               version:
+ *                 type: integer
+ *                 description: The __v the change is based on
  *     responses:
  *       200:
- *         description: Task deleted
+ *         description: Task updated; the new ETag is returned
+ *       409:
+ *         description: Version conflict
+ *       412:
+ *         description: If-Match did not match
  */
-router.delete("/:id", requireAuth, async (req, res) => {
+router.patch("/:id", requireAuth, async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
-    if (!task) {
-      return sendError(res, 404, "TASK_NOT_FOUND", "Task not found");
-    }
-    if (!isOwnerOrAdmin(task, req.user)) {
-      return sendError(res, 403, "TASK_FORBIDDEN", "Access denied");
+    const { fields, error: validationError } = buildTaskPatch(req.body);
+    if (validationError) {
+      return sendError(res, 400, "VALIDATION_ERROR", validationError);
     }
 
-    await task.deleteOne();
-    res.status(200).json({ message: "Task deleted" });
+    await updateTask(req, res, fields);
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
+    return sendError(res, 500, "TASK_UPDATE_FAILED", "Error updating task", [
+      error.message,
+    ]);
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   delete:
+ *     summary: Move a task to the trash (owner or admin)
+ *     description: >
+ *       Subtasks go to the trash with the task. A parent with open (not done)
+ *       subtasks is only trashed when cascade=true. Trashed tasks are purged
+ *       after TRASH_RETENTION_DAYS.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cascade
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: The __v the delete is based on
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task moved to trash
+ *       409:
+ *         description: Task has open subtasks, or version conflict
+ *       412:
+ *         description: If-Match did not match
+ */
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res, "manage");
+    if (!task || !checkTaskVersion(req, res, task)) {
+      return;
+    }
+
+    const openSubtasks = await Task.countDocuments({
+      parent: task._id,
+      status: { $ne: "done" },
+    });
+    if (openSubtasks > 0 && req.query.cascade !== "true") {
+      return sendError(
+        res,
+        409,
+        "TASK_HAS_OPEN_SUBTASKS",
+        `Task has ${openSubtasks} open subtask(s); pass cascade=true to delete them too`
+      );
+    }
+
+    // Only trash the version that was checked above.
+    const trashed = await trashTask(task, req.user.userId);
+    if (!trashed) {
+      return sendVersionConflict(res);
+    }
+    await auditTask(req, "delete", task, { details: trashed });
+    res.status(200).json({
+      message: "Task moved to trash",
+      trashedSubtasks: trashed.trashedSubtasks,
+    });
   } catch (error) {
     return sendError(res, 500, "TASK_DELETE_FAILED", "Error deleting task", [
       error.message,
@@ -244,4 +1323,814 @@ router.delete("/:id", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a task from the trash (owner or admin)
+ *     description: Subtasks trashed together with the task are restored too.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task restored
+ *       404:
+ *         description: Task not found in the trash
+ *       409:
+ *         description: The task's parent is still in the trash
+ */
+router.post("/:id/restore", requireAuth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res, "manage", { trashed: true });
+    if (!task) {
+      return;
+    }
+    if (task.parent && !(await Task.exists({ _id: task.parent }))) {
+      return sendError(
+        res,
+        409,
+        "TASK_PARENT_IN_TRASH",
+        "Restore the parent task first"
+      );
+    }
+
+    const restored = await restoreTask(task);
+    if (!restored) {
+      return sendVersionConflict(res);
+    }
+    await auditTask(req, "restore", task, {
+      details: { restoredSubtasks: restored.restoredSubtasks },
+    });
+    res.set("ETag", taskEtag(restored.task));
+    res.status(200).json({
+      message: "Task restored",
+      task: restored.task,
+      restoredSubtasks: restored.restoredSubtasks,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "TASK_RESTORE_FAILED",
+      "Error restoring task",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a task from the trash (owner or admin)
+ *     description: Its subtasks and comment threads are deleted as well.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task permanently deleted
+ *       404:
+ *         description: Task not found in the trash
+ */
+router.delete("/:id/purge", requireAuth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res, "manage", { trashed: true });
+    if (!task) {
+      return;
+    }
+
+    const deletedCount = await purgeTasks([task._id]);
+    // The full snapshot is the only copy left once the task is purged.
+    await auditTask(req, "purge", task, {
+      before: task,
+      details: { deletedCount },
+    });
+    res.status(200).json({ message: "Task permanently deleted", deletedCount });
+  } catch (error) {
+    return sendError(res, 500, "TASK_PURGE_FAILED", "Error purging task", [
+      error.message,
+    ]);
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/collaborators:
+ *   post:
+ *     summary: Share a task, or change a collaborator's role (owner or admin)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor]
+ *     responses:
+ *       200:
+ *         description: Collaborator saved
+ *       404:
+ *         description: Task or user not found
+ *       409:
+ *         description: Collaborator limit reached
+ */
+router.post("/:id/collaborators", requireAuth, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    if (typeof email !== "string" || !email.trim()) {
+      return sendError(res, 400, "VALIDATION_ERROR", "Email is required");
+    }
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Role must be viewer or editor"
+      );
+    }
+
+    const task = await loadTask(req, res, "manage");
+    if (!task) {
+      return;
+    }
+    const before = task.toObject();
+    const user = await User.findOne({
+      email: email.trim().toLowerCase(),
+      isActive: true,
+    });
+    if (!user) {
+      return sendError(res, 404, "USER_NOT_FOUND", "User not found");
+    }
+    if (user._id.equals(task.owner)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "The owner cannot be added as a collaborator"
+      );
+    }
+
+    const existing = task.collaborators.find((entry) =>
+      entry.user.equals(user._id)
+    );
+    if (existing) {
+      existing.role = role;
+      // Assignees must be able to edit the task.
+      if (role === "viewer" && task.assignee?.equals(user._id)) {
+        task.assignee = null;
+      }
+    } else {
+      if (task.collaborators.length >= maxCollaborators) {
+        return sendError(
+          res,
+          409,
+          "COLLABORATOR_LIMIT",
+          `A task can have at most ${maxCollaborators} collaborators`
+        );
+      }
+      task.collaborators.push({ user: user._id, role });
+    }
+    await task.save();
+    if (!existing) {
+      await notifyTaskUser(
+        task,
+        user._id,
+        "task_shared",
+        `${req.user.email} shared "${task.title}" with you as ${role}`
+      );
+    }
+    await auditTask(req, "share", task, {
+      before,
+      after: task,
+      details: { user: user._id, role },
+    });
+
+    res.status(200).json({ message: "Collaborator saved", task });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
+    return sendError(
+      res,
+      500,
+      "TASK_SHARE_FAILED",
+      "Error sharing task",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/collaborators/{userId}:
+ *   delete:
+ *     summary: Stop sharing a task with a user
+ *     description: >
+ *       The owner or an admin can remove anyone; collaborators can remove
+ *       themselves. A removed assignee is unassigned.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collaborator removed
+ *       404:
+ *         description: Task or collaborator not found
+ */
+router.delete("/:id/collaborators/:userId", requireAuth, async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.userId;
+    const task = await loadTask(req, res, leaving ? "view" : "manage");
+    if (!task) {
+      return;
+    }
+
+    const index = task.collaborators.findIndex(
+      (entry) => entry.user.toString() === req.params.userId
+    );
+    if (index === -1) {
+      return sendError(
+        res,
+        404,
+        "COLLABORATOR_NOT_FOUND",
+        "Collaborator not found"
+      );
+    }
+
+    const before = task.toObject();
+    task.collaborators.splice(index, 1);
+    if (task.assignee?.toString() === req.params.userId) {
+      task.assignee = null;
+    }
+    await task.save();
+    await auditTask(req, "unshare", task, {
+      before,
+      after: task,
+      details: { user: req.params.userId },
+    });
+
+    res.status(200).json({ message: "Collaborator removed", task });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
+    return sendError(
+      res,
+      500,
+      "TASK_SHARE_FAILED",
+      "Error removing collaborator",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/assignee:
+ *   patch:
+ *     summary: Assign a task (owner or admin)
+ *     description: >
+ *       The assignee must be the owner or an editor collaborator. Send null to
+ *       unassign.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: User id
+ *     responses:
+ *       200:
+ *         description: Assignee updated
+ */
+router.patch("/:id/assignee", requireAuth, async (req, res) => {
+  try {
+    const { assignee } = req.body;
+    if (assignee === undefined) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Assignee is required (use null to unassign)"
+      );
+    }
+
+    const task = await loadTask(req, res, "manage");
+    if (!task) {
+      return;
+    }
+
+    if (assignee !== null) {
+      const canBeAssigned =
+        task.owner.toString() === `${assignee}` ||
+        task.collaborators.some(
+          (entry) =>
+            entry.user.toString() === `${assignee}` && entry.role === "editor"
+        );
+      if (!canBeAssigned) {
+        return sendError(
+          res,
+          400,
+          "VALIDATION_ERROR",
+          "Assignee must be the owner or an editor on this task"
+        );
+      }
+    }
+
+    const before = task.toObject();
+    const previousAssignee = task.assignee;
+    task.assignee = assignee;
+    await task.save();
+    await auditTask(req, "assign", task, { before, after: task });
+    if (
+      task.assignee &&
+      !task.assignee.equals(previousAssignee) &&
+      task.assignee.toString() !== req.user.userId
+    ) {
+      await notifyTaskUser(
+        task,
+        task.assignee,
+        "task_assigned",
+        `${req.user.email} assigned "${task.title}" to you`
+      );
+    }
+
+    res.status(200).json({ message: "Assignee updated", task });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
+    return sendError(
+      res,
+      500,
+      "TASK_ASSIGN_FAILED",
+      "Error assigning task",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/labels/{labelId}:
+ *   put:
+ *     summary: Attach one of the caller's labels to a task
+ *     description: Labels are personal, so viewers can label tasks too.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Label attached
+ *       404:
+ *         description: Task or label not found
+ *   delete:
+ *     summary: Detach one of the caller's labels from a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Label detached
+ *       404:
+ *         description: Task or label not found
+ */
+const setTaskLabel = (attach) => async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) {
+      return;
+    }
+    const label = await Label.findOne({
+      _id: req.params.labelId,
+      owner: req.user.userId,
+    });
+    if (!label) {
+      return sendError(res, 404, "LABEL_NOT_FOUND", "Label not found");
+    }
+
+    const updated = await Task.findByIdAndUpdate(
+      task._id,
+      attach
+        ? { $addToSet: { labels: label._id } }
+        : { $pull: { labels: label._id } },
+      { new: true }
+    ).populate(ownLabels(req.user));
+    await auditTask(req, attach ? "label_add" : "label_remove", task, {
+      details: { labelId: label._id },
+    });
+
+    res.status(200).json({
+      message: attach ? "Label attached" : "Label detached",
+      task: updated,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "TASK_LABEL_FAILED",
+      "Error updating task labels",
+      [error.message]
+    );
+  }
+};
+
+router.put("/:id/labels/:labelId", requireAuth, setTaskLabel(true));
+router.delete("/:id/labels/:labelId", requireAuth, setTaskLabel(false));
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist:
+ *   post:
+ *     summary: Add a checklist item to a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Checklist item added
+ *       409:
+ *         description: Checklist is full
+ */
+router.post("/:id/checklist", requireAuth, async (req, res) => {
+  try {
+    const validationError = validateChecklistText(req.body.text);
+    if (validationError) {
+      return sendError(res, 400, "VALIDATION_ERROR", validationError);
+    }
+
+    const task = await loadTask(req, res, "edit");
+    if (!task) {
+      return;
+    }
+    if (task.checklist.length >= maxChecklistItems) {
+      return sendError(
+        res,
+        409,
+        "CHECKLIST_FULL",
+        `A task can have at most ${maxChecklistItems} checklist items`
+      );
+    }
+
+    const before = task.toObject();
+    task.checklist.push({ text: req.body.text.trim() });
+    await task.save();
+    await auditTask(req, "checklist_add", task, { before, after: task });
+
+    res.status(201).json({ message: "Checklist item added", task });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
+    return sendError(
+      res,
+      500,
+      "CHECKLIST_UPDATE_FAILED",
+      "Error updating checklist",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/order:
+ *   put:
+ *     summary: Reorder a task's checklist
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [itemIds]
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every checklist item id, in the new order
+ *     responses:
+ *       200:
+ *         description: Checklist reordered
+ */
+router.put("/:id/checklist/order", requireAuth, async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    if (!Array.isArray(itemIds)) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "itemIds must be an array of checklist item ids"
+      );
+    }
+
+    const task = await loadTask(req, res, "edit");
+    if (!task) {
+      return;
+    }
+
+    const items = new Map(
+      task.checklist.map((item) => [item._id.toString(), item])
+    );
+    const ordered = itemIds.map((itemId) => items.get(`${itemId}`));
+    if (
+      itemIds.length !== items.size ||
+      new Set(itemIds.map(String)).size !== items.size ||
+      ordered.some((item) => !item)
+    ) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "itemIds must list every checklist item exactly once"
+      );
+    }
+
+    const before = task.toObject();
+    task.checklist = ordered.map((item) => item.toObject());
+    await task.save();
+    await auditTask(req, "checklist_reorder", task, { before, after: task });
+
+    res.status(200).json({ message: "Checklist reordered", task });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
+    return sendError(
+      res,
+      500,
+      "CHECKLIST_UPDATE_FAILED",
+      "Error updating checklist",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/{itemId}:
+ *   patch:
+ *     summary: Edit or toggle a checklist item
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               done:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Checklist item updated
+ *       404:
+ *         description: Task or checklist item not found
+ */
+router.patch("/:id/checklist/:itemId", requireAuth, async (req, res) => {
+  try {
+    const { text, done } = req.body;
+    if (text === undefined && done === undefined) {
+      return sendError(
+        res,
+        400,
+        "VALIDATION_ERROR",
+        "Provide text or done to update"
+      );
+    }
+    if (text !== undefined) {
+      const validationError = validateChecklistText(text);
+      if (validationError) {
+        return sendError(res, 400, "VALIDATION_ERROR", validationError);
+      }
+    }
+    if (done !== undefined && typeof done !== "boolean") {
+      return sendError(res, 400, "VALIDATION_ERROR", "Done must be a boolean");
+    }
+
+    const task = await loadTask(req, res, "edit");
+    if (!task) {
+      return;
+    }
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return sendError(
+        res,
+        404,
+        "CHECKLIST_ITEM_NOT_FOUND",
+        "Checklist item not found"
+      );
+    }
+
+    const before = task.toObject();
+    if (text !== undefined) {
+      item.text = text.trim();
+    }
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.doneAt = done ? new Date() : null;
+    }
+    await task.save();
+    await auditTask(req, "checklist_update", task, {
+      before,
+      after: task,
+      details: { itemId: item._id },
+    });
+
+    res.status(200).json({ message: "Checklist item updated", task });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
+    return sendError(
+      res,
+      500,
+      "CHECKLIST_UPDATE_FAILED",
+      "Error updating checklist",
+      [error.message]
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/{itemId}:
+ *   delete:
+ *     summary: Remove a checklist item
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checklist item removed
+ *       404:
+ *         description: Task or checklist item not found
+ */
+router.delete("/:id/checklist/:itemId", requireAuth, async (req, res) => {
+  try {
+    const task = await loadTask(req, res, "edit");
+    if (!task) {
+      return;
+    }
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return sendError(
+        res,
+        404,
+        "CHECKLIST_ITEM_NOT_FOUND",
+        "Checklist item not found"
+      );
+    }
+
+    const before = task.toObject();
+    item.deleteOne();
+    await task.save();
+    await auditTask(req, "checklist_remove", task, {
+      before,
+      after: task,
+      details: { itemId: item._id },
+    });
+
+    res.status(200).json({ message: "Checklist item removed", task });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendVersionConflict(res);
+    }
+    return sendError(
+      res,
+      500,
+      "CHECKLIST_UPDATE_FAILED",
+      "Error updating checklist",
+      [error.message]
+    );
+  }
+});
+
 export default router;
@@ -0,0 +1,58 @@
+import { Router } from "express";
+import WaitlistEntry, {
+  ACTIVE_WAITLIST_STATUSES,
+} from "../models/WaitlistEntry.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+import { sendError } from "../utils/errorResponse.js";
+import { waitlistPosition } from "../utils/waitlist.js";
+
+const router = Router();
+
+/**
+ * @swagger
+ * /waitlist/me:
+ *   get:
+ *     summary: List the caller's active waitlist entries with their positions
+ *     description: >
+ *       position is 1 for the next in line and null for entries holding an
+ *       offer; offered entries show offerExpiresAt instead.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Waitlist entries fetched
+ */
+router.get("/me", requireAuth, async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      userId: req.user.userId,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    })
+      .populate("experienceId", "title location")
+      .populate("sessionId", "startTime status")
+      .sort({ created_at: -1 });
+
+    const withPositions = await Promise.all(
+      entries.map(async (entry) => ({
+        ...entry.toJSON(),
+        position: await waitlistPosition(entry),
+      }))
+    );
+
+    res.status(200).json({
+      message: "Waitlist entries fetched",
+      entries: withPositions,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "WAITLIST_FETCH_FAILED",
+      "Error fetching waitlist entries",
+      [error.message]
+    );
+  }
+});
+
+export default router;
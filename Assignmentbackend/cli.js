@@ -0,0 +1,70 @@
+import "dotenv/config";
+import { parseArgs } from "util";
+import mongoose from "mongoose";
+import connectdb from "./db.js";
+import { createAdmin, resetUserPassword } from "./cli/users.js";
+import { seed } from "./cli/seed.js";
+import { migrateUp, migrationStatus } from "./cli/migrate.js";
+
+const usage = `Usage: node cli.js <command> [options]
+
+Commands:
+  create-admin --email <email> --password <password> [--name <name>]
+      Create an admin account, or promote an existing account to admin.
+  reset-password --email <email> --password <password>
+      Set a user's password and revoke their sessions.
+  seed
+      Insert demo users, tasks, experiences and bookings (idempotent).
+  migrate [up|status]
+      Apply pending data migrations, or list which have been applied.`;
+
+const commands = {
+  "create-admin": (options) => createAdmin(options),
+  "reset-password": (options) => resetUserPassword(options),
+  seed: () => seed(),
+  migrate: (options, [action = "up"]) => {
+    if (action === "status") {
+      return migrationStatus();
+    }
+    if (action === "up") {
+      return migrateUp();
+    }
+    throw new Error(`Unknown migrate action: ${action}`);
+  },
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      email: { type: "string" },
+      password: { type: "string" },
+      name: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [commandName, ...rest] = positionals;
+  const command = commands[commandName];
+  if (!command || values.help) {
+    console.log(usage);
+    return values.help ? 0 : 1;
+  }
+
+  await connectdb();
+  if (mongoose.connection.readyState !== 1) {
+    console.log("Could not connect to MongoDB");
+    return 1;
+  }
+
+  try {
+    await command(values, rest);
+    return 0;
+  } catch (error) {
+    console.log(`Error: ${error.message}`);
+    return 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+process.exitCode = await main();
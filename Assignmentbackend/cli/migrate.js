@@ -0,0 +1,64 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import Migration from "../models/Migration.js";
+
+const migrationsDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../migrations"
+);
+
+// Migrations live in migrations/NNN-name.js and export version, name and up().
+const loadMigrations = async () => {
+  const files = (await fs.readdir(migrationsDir))
+    .filter((file) => /^\d+-.+\.js$/.test(file))
+    .sort();
+  const migrations = await Promise.all(
+    files.map((file) => import(pathToFileURL(path.join(migrationsDir, file))))
+  );
+  return migrations.sort((a, b) => a.version - b.version);
+};
+
+export const migrationStatus = async () => {
+  const [migrations, applied] = await Promise.all([
+    loadMigrations(),
+    Migration.find().sort({ version: 1 }),
+  ]);
+  const appliedByVersion = new Map(
+    applied.map((entry) => [entry.version, entry])
+  );
+  migrations.forEach((migration) => {
+    const entry = appliedByVersion.get(migration.version);
+    const state = entry
+      ? `applied ${entry.appliedAt.toISOString()}`
+      : "pending";
+    console.log(`${migration.version} ${migration.name}: ${state}`);
+  });
+};
+
+export const migrateUp = async () => {
+  const migrations = await loadMigrations();
+  const applied = new Set(
+    (await Migration.find({}, "version")).map((entry) => entry.version)
+  );
+  const pending = migrations.filter(
+    (migration) => !applied.has(migration.version)
+  );
+  if (pending.length === 0) {
+    console.log("No pending migrations");
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`Applying ${migration.version} ${migration.name}...`);
+    const summary = await migration.up();
+    await Migration.create({
+      version: migration.version,
+      name: migration.name,
+    });
+    console.log(
+      `Applied ${migration.version} ${migration.name}` +
+        (summary ? `: ${summary}` : "")
+    );
+  }
+};
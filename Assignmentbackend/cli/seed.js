@@ -0,0 +1,141 @@
+import bcrypt from "bcrypt";
+import User from "../models/User.js";
+import Task from "../models/Task.js";
+import Experience from "../models/Experience.js";
+import Booking from "../models/Booking.js";
+import ExperienceSession from "../models/ExperienceSession.js";
+import { createSessions } from "../utils/sessions.js";
+import { priceBooking } from "../utils/pricing.js";
+
+const saltRounds = 10;
+const demoPassword = "password123";
+const dayMs = 24 * 60 * 60 * 1000;
+
+const demoUsers = [
+  { name: "Demo Admin", email: "admin@example.com", role: "admin" },
+  { name: "Demo Host", email: "host@example.com", role: "host" },
+  { name: "Demo User", email: "user@example.com", role: "user" },
+];
+
+const demoTasks = [
+  {
+    title: "Plan weekend trip",
+    description: "Pick an experience",
+    status: "todo",
+  },
+  {
+    title: "Pack gear",
+    description: "Camera and water bottle",
+    status: "in_progress",
+  },
+  { title: "Share photos", description: "", status: "done" },
+];
+
+const demoExperiences = [
+  {
+    title: "City Walk",
+    description: "Guided walking tour of downtown",
+    location: "NYC",
+    geo: { type: "Point", coordinates: [-74.006, 40.7128] },
+    price: 50,
+    capacity: 12,
+    startInDays: 7,
+    status: "published",
+  },
+  {
+    title: "Sunset Kayak",
+    description: "Paddle the river at golden hour",
+    location: "Austin",
+    geo: { type: "Point", coordinates: [-97.7431, 30.2672] },
+    price: 80,
+    capacity: 6,
+    startInDays: 14,
+    status: "published",
+  },
+  {
+    title: "Pasta Workshop",
+    description: "Hands-on fresh pasta class",
+    location: "Chicago",
+    price: 65,
+    capacity: 10,
+    startInDays: 21,
+    status: "draft",
+  },
+];
+
+const upsertUser = async ({ name, email, role }) => {
+  const existing = await User.findOne({ email });
+  if (existing) {
+    return existing;
+  }
+  return User.create({
+    name,
+    email,
+    role,
+    password: await bcrypt.hash(demoPassword, saltRounds),
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+};
+
+// Safe to run repeatedly: records are matched by email or title and only
+// created when missing.
+export const seed = async () => {
+  const users = {};
+  for (const demoUser of demoUsers) {
+    users[demoUser.role] = await upsertUser(demoUser);
+  }
+
+  for (const task of demoTasks) {
+    await Task.updateOne(
+      { title: task.title, owner: users.user._id },
+      { $setOnInsert: { ...task, owner: users.user._id } },
+      { upsert: true }
+    );
+  }
+
+  const experiences = [];
+  for (const { startInDays, ...experience } of demoExperiences) {
+    const existing = await Experience.findOne({
+      title: experience.title,
+      createdBy: users.host._id,
+    });
+    if (existing) {
+      experiences.push(existing);
+      continue;
+    }
+    const created = await Experience.create({
+      ...experience,
+      startTime: new Date(Date.now() + startInDays * dayMs),
+      createdBy: users.host._id,
+    });
+    await createSessions(created._id, [created.startTime], created.capacity);
+    experiences.push(created);
+  }
+
+  const [cityWalk] = experiences;
+  const session = await ExperienceSession.findOne({
+    experienceId: cityWalk._id,
+  }).sort({ startTime: 1 });
+  const existingBooking = await Booking.findOne({
+    experienceId: cityWalk._id,
+    userId: users.user._id,
+    status: "confirmed",
+  });
+  if (
+    session &&
+    !existingBooking &&
+    (await ExperienceSession.reserveSeats(session._id, 2))
+  ) {
+    await Booking.create({
+      experienceId: cityWalk._id,
+      sessionId: session._id,
+      userId: users.user._id,
+      seats: 2,
+      pricing: priceBooking(cityWalk, 2),
+    });
+  }
+
+  console.log("Seeded demo data. Accounts (password: password123):");
+  demoUsers.forEach(({ email, role }) => console.log(`  ${role}: ${email}`));
+};
@@ -0,0 +1,65 @@
+import bcrypt from "bcrypt";
+import User from "../models/User.js";
+import { revokeAllSessions } from "../utils/tokens.js";
+
+const saltRounds = 10;
+
+const requireOption = (options, name) => {
+  if (!options[name]) {
+    throw new Error(`--${name} is required`);
+  }
+  return options[name];
+};
+
+const validatePassword = (password) => {
+  if (password.length < 6) {
+    throw new Error("Password must be at least 6 characters");
+  }
+};
+
+// Creates an admin, or promotes an existing account when the email is taken.
+export const createAdmin = async (options) => {
+  const email = requireOption(options, "email").toLowerCase().trim();
+  const existing = await User.findOne({ email });
+
+  if (existing) {
+    existing.role = "admin";
+    existing.isActive = true;
+    existing.emailVerified = true;
+    if (options.password) {
+      validatePassword(options.password);
+      existing.password = await bcrypt.hash(options.password, saltRounds);
+    }
+    await existing.save();
+    console.log(`Promoted ${email} to admin`);
+    return;
+  }
+
+  const password = requireOption(options, "password");
+  validatePassword(password);
+  await User.create({
+    name: options.name || email.split("@")[0],
+    email,
+    password: await bcrypt.hash(password, saltRounds),
+    role: "admin",
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+  console.log(`Created admin ${email}`);
+};
+
+export const resetUserPassword = async (options) => {
+  const email = requireOption(options, "email").toLowerCase().trim();
+  const password = requireOption(options, "password");
+  validatePassword(password);
+
+  const user = await User.findOne({ email });
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+  user.password = await bcrypt.hash(password, saltRounds);
+  user.passwordResetRequired = false;
+  await user.save();
+  await revokeAllSessions(user._id, "password_reset");
+  console.log(`Password reset for ${email}; existing sessions revoked`);
+};
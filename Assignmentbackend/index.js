@@ -1,22 +1,39 @@
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
 import mongoose from "mongoose";
 import swaggerUi from "swagger-ui-express";
 import connectdb from "./db.js";
 import userRouter from "./Router/UserController.js";
 import taskRouter from "./Router/taskRoutes.js";
+import taskCommentRouter from "./Router/taskCommentRoutes.js";
 import experienceRouter from "./Router/experienceRoutes.js";
+import bookingRouter from "./Router/bookingRoutes.js";
+import notificationRouter from "./Router/notificationRoutes.js";
+import labelRouter from "./Router/labelRoutes.js";
+import reviewRouter from "./Router/reviewRoutes.js";
+import sessionRouter from "./Router/sessionRoutes.js";
+import waitlistRouter from "./Router/waitlistRoutes.js";
+import promoCodeRouter from "./Router/promoCodeRoutes.js";
+import adminRouter from "./Router/adminRoutes.js";
 import requestLogger from "./middleware/requestLogger.js";
 import swaggerSpec from "./swagger.js";
 import { sendError } from "./utils/errorResponse.js";
-
-dotenv.config();
+import { startReminderScheduler } from "./jobs/reminderScheduler.js";
+import { startTrashRetention } from "./jobs/trashRetention.js";
+import { startWaitlistExpiry } from "./jobs/waitlistExpiry.js";
 
 const app = express();
 const jsonParser = express.json();
 connectdb();
-app.use(cors());
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : Number(trustProxy) || trustProxy
+  );
+}
+app.use(cors({ exposedHeaders: ["Retry-After", "ETag"] }));
 app.use((req, res, next) => {
   if (req.method === "GET" || req.method === "HEAD") {
     return next();
@@ -37,7 +54,16 @@ app.get("/health", (req, res) => {
 
 app.use("/api/v1", userRouter);
 app.use("/api/v1/tasks", taskRouter);
+app.use("/api/v1/tasks/:id/comments", taskCommentRouter);
 app.use("/api/v1/experiences", experienceRouter);
+app.use("/api/v1/experiences/:id/reviews", reviewRouter);
+app.use("/api/v1/experiences/:id/sessions", sessionRouter);
+app.use("/api/v1/bookings", bookingRouter);
+app.use("/api/v1/waitlist", waitlistRouter);
+app.use("/api/v1/promo-codes", promoCodeRouter);
+app.use("/api/v1/notifications", notificationRouter);
+app.use("/api/v1/labels", labelRouter);
+app.use("/api/v1/admin", adminRouter);
 app.use("/api/v1/docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 app.use((err, req, res, next) => {
@@ -47,6 +73,16 @@ app.use((err, req, res, next) => {
   return next(err);
 });
 
+if (process.env.REMINDER_SCHEDULER !== "off") {
+  startReminderScheduler();
+}
+if (process.env.TRASH_RETENTION !== "off") {
+  startTrashRetention();
+}
+if (process.env.WAITLIST_EXPIRY !== "off") {
+  startWaitlistExpiry();
+}
+
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
 });
\ No newline at end of file
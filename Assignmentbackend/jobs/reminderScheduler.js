@@ -0,0 +1,46 @@
+import Task from "../models/Task.js";
+import Notification from "../models/Notification.js";
+
+const pollIntervalMs = Number(process.env.REMINDER_POLL_SECONDS ?? 60) * 1000;
+const batchSize = 100;
+
+// Each reminder is claimed with a conditional update before its notification
+// is written, so several server instances never send the same reminder twice.
+export const processDueReminders = async (now = new Date()) => {
+  let sent = 0;
+  while (sent < batchSize) {
+    const task = await Task.findOneAndUpdate(
+      {
+        reminderAt: { $lte: now },
+        reminderSentAt: null,
+        status: { $ne: "done" },
+      },
+      { reminderSentAt: now },
+      { new: true }
+    );
+    if (!task) {
+      break;
+    }
+    await Notification.create({
+      userId: task.owner,
+      type: "task_reminder",
+      message: task.dueDate
+        ? `Reminder: "${task.title}" is due ${task.dueDate.toISOString()}`
+        : `Reminder: "${task.title}"`,
+      entityType: "task",
+      entityId: task._id,
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+export const startReminderScheduler = () => {
+  const timer = setInterval(() => {
+    processDueReminders().catch((error) => {
+      console.log("Reminder scheduler error", error);
+    });
+  }, pollIntervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,32 @@
+import Task from "../models/Task.js";
+import Experience from "../models/Experience.js";
+import { TRASH_RETENTION_DAYS } from "../models/plugins/softDelete.js";
+import { purgeExperiences, purgeTasks } from "../utils/trash.js";
+
+const pollIntervalMs = 60 * 60 * 1000;
+
+// Permanently deletes everything that has been in the trash for longer than
+// TRASH_RETENTION_DAYS.
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 86400000);
+  const [taskIds, experienceIds] = await Promise.all([
+    Task.distinct("_id", { deletedAt: { $lte: cutoff } }),
+    Experience.distinct("_id", { deletedAt: { $lte: cutoff } }),
+  ]);
+  return {
+    tasks: taskIds.length ? await purgeTasks(taskIds) : 0,
+    experiences: experienceIds.length
+      ? await purgeExperiences(experienceIds)
+      : 0,
+  };
+};
+
+export const startTrashRetention = () => {
+  const timer = setInterval(() => {
+    purgeExpiredTrash().catch((error) => {
+      console.log("Trash retention error", error);
+    });
+  }, pollIntervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,34 @@
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { releaseOffer } from "../utils/waitlist.js";
+
+const pollIntervalMs = Number(process.env.WAITLIST_POLL_SECONDS ?? 60) * 1000;
+const batchSize = 100;
+
+// Expires unclaimed offers one at a time. The conditional update claims each
+// offer, so several server instances never release the same hold twice.
+export const expireWaitlistOffers = async (now = new Date()) => {
+  let expired = 0;
+  while (expired < batchSize) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { status: "offered", offerExpiresAt: { $lte: now } },
+      { status: "expired" },
+      { new: true }
+    );
+    if (!entry) {
+      break;
+    }
+    await releaseOffer(entry);
+    expired += 1;
+  }
+  return expired;
+};
+
+export const startWaitlistExpiry = () => {
+  const timer = setInterval(() => {
+    expireWaitlistOffers().catch((error) => {
+      console.log("Waitlist expiry error", error);
+    });
+  }, pollIntervalMs);
+  timer.unref();
+  return timer;
+};
@@ -1,9 +1,18 @@
 import jwt from "jsonwebtoken";
 import { sendError } from "../utils/errorResponse.js";
+import { JWT_SECRET, isSessionActive } from "../utils/tokens.js";
+import User from "../models/User.js";
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-this";
+const envFlag = (value, fallback) =>
+  value === undefined ? fallback : value === "true";
 
-export const requireAuth = (req, res, next) => {
+// Which actions need a verified email address. Admins are always exempt.
+export const verificationPolicy = {
+  publish: envFlag(process.env.REQUIRE_VERIFIED_EMAIL_TO_PUBLISH, true),
+  book: envFlag(process.env.REQUIRE_VERIFIED_EMAIL_TO_BOOK, false),
+};
+
+export const requireAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader) {
@@ -16,7 +25,25 @@ export const requireAuth = (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
+    const sessionActive =
+      decoded.sid && (await isSessionActive(decoded.sid, decoded.userId));
+    if (!sessionActive) {
+      return sendError(res, 401, "AUTH_REVOKED", "Session has been revoked");
+    }
+
+    // Role and active flag come from the database so admin changes apply
+    // immediately instead of when the access token expires.
+    const user = await User.findById(decoded.userId, "role isActive");
+    if (!user || !user.isActive) {
+      return sendError(
+        res,
+        401,
+        "AUTH_ACCOUNT_DISABLED",
+        "Account is deactivated"
+      );
+    }
+
+    req.user = { ...decoded, role: user.role };
     next();
   } catch (error) {
     return sendError(res, 401, "AUTH_UNAUTHORIZED", "Unauthorized", [
@@ -33,4 +60,30 @@ export const requireRole = (roles) => (req, res, next) => {
   next();
 };
 
+export const requireVerifiedEmail = (action) => async (req, res, next) => {
+  try {
+    if (!verificationPolicy[action] || req.user?.role === "admin") {
+      return next();
+    }
+    const user = await User.findById(req.user.userId, "emailVerified");
+    if (!user?.emailVerified) {
+      return sendError(
+        res,
+        403,
+        "EMAIL_NOT_VERIFIED",
+        `Verify your email address before you ${action}`
+      );
+    }
+    next();
+  } catch (error) {
+    return sendError(
+      res,
+      500,
+      "EMAIL_VERIFICATION_CHECK_FAILED",
+      "Error checking email verification",
+      [error.message]
+    );
+  }
+};
+
 export default requireAuth;
@@ -0,0 +1,29 @@
+import { sendTooManyRequests } from "../utils/errorResponse.js";
+import { rateLimitStore, secondsUntil } from "../utils/rateLimitStore.js";
+
+export const rateLimit =
+  ({ name, windowMs, max, keyBy = (req) => req.ip, store = rateLimitStore }) =>
+  async (req, res, next) => {
+    try {
+      const { count, resetAt } = await store.increment(
+        `${name}:${keyBy(req)}`,
+        windowMs
+      );
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(Math.max(max - count, 0)));
+      if (count > max) {
+        return sendTooManyRequests(
+          res,
+          secondsUntil(resetAt),
+          "RATE_LIMITED",
+          "Too many requests, please try again later"
+        );
+      }
+    } catch (error) {
+      // Fail open: an unavailable limiter store must not take auth down.
+      console.log("Rate limiter error", error);
+    }
+    next();
+  };
+
+export default rateLimit;
@@ -0,0 +1,41 @@
+import Booking from "../models/Booking.js";
+import Experience from "../models/Experience.js";
+
+export const version = 1;
+export const name = "backfill-experience-capacity";
+
+// Experiences created before seat capacity existed get a default capacity and
+// a seatsBooked counter derived from their confirmed bookings.
+export const up = async () => {
+  const defaultCapacity = Number(
+    process.env.DEFAULT_EXPERIENCE_CAPACITY ?? 20
+  );
+  const experiences = await Experience.find({
+    $or: [
+      { capacity: { $exists: false } },
+      { seatsBooked: { $exists: false } },
+    ],
+  });
+
+  for (const experience of experiences) {
+    const [booked] = await Booking.aggregate([
+      { $match: { experienceId: experience._id, status: "confirmed" } },
+      { $group: { _id: null, seats: { $sum: "$seats" } } },
+    ]);
+    const seatsBooked = booked?.seats ?? 0;
+    // seatsBooked has since moved to sessions (migration 005), so write it
+    // through the driver rather than the schema.
+    await Experience.collection.updateOne(
+      { _id: experience._id },
+      {
+        $set: {
+          capacity:
+            experience.capacity ?? Math.max(defaultCapacity, seatsBooked),
+          seatsBooked,
+        },
+      }
+    );
+  }
+
+  return `${experiences.length} experiences updated`;
+};
@@ -0,0 +1,18 @@
+import User from "../models/User.js";
+
+export const version = 2;
+export const name = "backfill-user-flags";
+
+// Accounts that predate email verification and deactivation are treated as
+// verified and active, so existing hosts can keep publishing.
+export const up = async () => {
+  const verified = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+  const activated = await User.updateMany(
+    { isActive: { $exists: false } },
+    { $set: { isActive: true } }
+  );
+  return `${verified.modifiedCount} users verified, ${activated.modifiedCount} users activated`;
+};
@@ -0,0 +1,11 @@
+import Booking from "../models/Booking.js";
+
+export const version = 3;
+export const name = "sync-booking-indexes";
+
+// Replaces the old non-unique (userId, experienceId) index with the partial
+// unique index that blocks duplicate confirmed bookings.
+export const up = async () => {
+  const dropped = await Booking.syncIndexes();
+  return `dropped indexes: ${dropped.length ? dropped.join(", ") : "none"}`;
+};
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+
+export const version = 4;
+export const name = "move-admin-actions-to-audit-log";
+
+// Copies the old adminactions entries into auditlogs. The adminactions
+// collection is left in place and can be dropped once the copy is checked.
+export const up = async () => {
+  const adminActions = await mongoose.connection.db
+    .collection("adminactions")
+    .find()
+    .toArray();
+  if (!adminActions.length) {
+    return "no admin actions to copy";
+  }
+
+  await AuditLog.insertMany(
+    adminActions.map((entry) => ({
+      actor: entry.actor,
+      action: `user.${entry.action}`,
+      entityType: "user",
+      entityId: entry.targetUser,
+      changes:
+        entry.action === "role_change"
+          ? { role: { from: entry.details?.from, to: entry.details?.to } }
+          : {},
+      details: entry.details ?? {},
+      created_at: entry.created_at,
+    }))
+  );
+  return `${adminActions.length} admin actions copied`;
+};
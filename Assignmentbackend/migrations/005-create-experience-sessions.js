@@ -0,0 +1,48 @@
+import Booking from "../models/Booking.js";
+import Experience from "../models/Experience.js";
+import ExperienceSession from "../models/ExperienceSession.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+
+export const version = 5;
+export const name = "create-experience-sessions";
+
+// Gives every experience without sessions a single session carrying its old
+// start time and seat counter, points its bookings and waitlist entries at
+// it, then swaps the per-experience indexes for per-session ones. Uses the
+// raw collections so trashed experiences are migrated too.
+export const up = async () => {
+  const withSessions = await ExperienceSession.distinct("experienceId");
+  const experiences = await Experience.collection
+    .find({ _id: { $nin: withSessions } })
+    .toArray();
+
+  for (const experience of experiences) {
+    const session = await ExperienceSession.create({
+      experienceId: experience._id,
+      startTime: experience.startTime,
+      capacity: experience.capacity,
+      seatsBooked: experience.seatsBooked ?? 0,
+    });
+    await Booking.collection.updateMany(
+      { experienceId: experience._id, sessionId: { $exists: false } },
+      { $set: { sessionId: session._id } }
+    );
+    await WaitlistEntry.collection.updateMany(
+      { experienceId: experience._id, sessionId: { $exists: false } },
+      { $set: { sessionId: session._id } }
+    );
+  }
+
+  await Experience.collection.updateMany(
+    { seatsBooked: { $exists: true } },
+    { $unset: { seatsBooked: "" } }
+  );
+  const dropped = [
+    ...(await Booking.syncIndexes()),
+    ...(await WaitlistEntry.syncIndexes()),
+  ];
+
+  return `${experiences.length} sessions created; dropped indexes: ${
+    dropped.length ? dropped.join(", ") : "none"
+  }`;
+};
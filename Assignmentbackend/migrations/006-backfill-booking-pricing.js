@@ -0,0 +1,60 @@
+import Booking from "../models/Booking.js";
+import Experience, { DEFAULT_CURRENCY } from "../models/Experience.js";
+
+export const version = 6;
+export const name = "backfill-booking-pricing";
+
+// Experiences created before currencies existed get DEFAULT_CURRENCY. Bookings
+// without a pricing snapshot are priced at their experience's current price,
+// which is the best record left of what they cost. Uses the raw collections
+// so trashed experiences are covered too.
+export const up = async () => {
+  const { modifiedCount: experiencesUpdated } =
+    await Experience.collection.updateMany(
+      { currency: { $exists: false } },
+      { $set: { currency: DEFAULT_CURRENCY } }
+    );
+
+  const bookings = await Booking.collection
+    .find({ pricing: { $exists: false } })
+    .toArray();
+  const experienceIds = bookings.map(({ experienceId }) => experienceId);
+  const experiences = new Map(
+    (
+      await Experience.collection
+        .find({ _id: { $in: experienceIds } })
+        .toArray()
+    ).map((experience) => [experience._id.toString(), experience])
+  );
+
+  let bookingsUpdated = 0;
+  for (const booking of bookings) {
+    const experience = experiences.get(booking.experienceId.toString());
+    if (!experience) {
+      continue;
+    }
+    const subtotal = experience.price * booking.seats;
+    await Booking.collection.updateOne(
+      { _id: booking._id },
+      {
+        $set: {
+          pricing: {
+            currency: experience.currency ?? DEFAULT_CURRENCY,
+            unitPrice: experience.price,
+            subtotal,
+            discount: 0,
+            total: subtotal,
+            promoCode: null,
+            promoCodeId: null,
+          },
+        },
+      }
+    );
+    bookingsUpdated += 1;
+  }
+
+  return (
+    `${experiencesUpdated} experiences given a currency, ` +
+    `${bookingsUpdated} bookings priced`
+  );
+};
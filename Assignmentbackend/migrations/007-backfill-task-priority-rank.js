@@ -0,0 +1,23 @@
+import Task, { TASK_PRIORITIES } from "../models/Task.js";
+
+export const version = 7;
+export const name = "backfill-task-priority-rank";
+
+// priorityRank is only set when a task is validated, so tasks saved before it
+// existed sort as one block on ?sort=priority. Tasks without a priority get
+// the schema default. Uses the raw collection so trashed tasks are covered.
+export const up = async () => {
+  const defaulted = await Task.collection.updateMany(
+    { priority: { $exists: false } },
+    { $set: { priority: "medium" } }
+  );
+  let ranked = 0;
+  for (const [rank, priority] of TASK_PRIORITIES.entries()) {
+    const { modifiedCount } = await Task.collection.updateMany(
+      { priority, priorityRank: { $ne: rank } },
+      { $set: { priorityRank: rank } }
+    );
+    ranked += modifiedCount;
+  }
+  return `${defaulted.modifiedCount} tasks given a priority, ${ranked} tasks ranked`;
+};
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ENTITY_TYPES = [
+  "user",
+  "task",
+  "experience",
+  "booking",
+  "review",
+  "waitlist",
+  "session",
+  "promo_code",
+];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Null for actions taken before anyone is signed in, e.g. a password reset.
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // "<entity>.<verb>", e.g. task.update or user.role_change.
+    action: {
+      type: String,
+      required: true,
+    },
+    entityType: {
+      type: String,
+      enum: AUDIT_ENTITY_TYPES,
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // { field: { from, to } } for every field the action changed.
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: false } }
+);
+
+auditLogSchema.index({ created_at: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, created_at: -1 });
+auditLogSchema.index({ actor: 1, created_at: -1 });
+auditLogSchema.index({ action: 1, created_at: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -1,5 +1,46 @@
 import mongoose from "mongoose";
 
+// What the booking cost when it was made; later price changes and promo code
+// edits do not touch it.
+const pricingSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    promoCode: {
+      type: String,
+      default: null,
+    },
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const bookingSchema = new mongoose.Schema(
   {
     experienceId: {
@@ -7,6 +48,11 @@ const bookingSchema = new mongoose.Schema(
       ref: "Experience",
       required: true,
     },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExperienceSession",
+      required: true,
+    },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -26,11 +72,26 @@ const bookingSchema = new mongoose.Schema(
       enum: ["confirmed", "cancelled"],
       default: "confirmed",
     },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    pricing: {
+      type: pricingSchema,
+      required: true,
+    },
   },
   { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
 );
 
-bookingSchema.index({ userId: 1, experienceId: 1 });
+// One confirmed booking per user and session; cancelled bookings are kept
+// for history and do not block re-booking.
+bookingSchema.index(
+  { userId: 1, sessionId: 1 },
+  { unique: true, partialFilterExpression: { status: "confirmed" } }
+);
+bookingSchema.index({ experienceId: 1, status: 1 });
+bookingSchema.index({ sessionId: 1, status: 1 });
 
 const Booking = mongoose.model("Booking", bookingSchema);
 
@@ -1,4 +1,40 @@
 import mongoose from "mongoose";
+import softDelete from "./plugins/softDelete.js";
+
+// Allowed status changes and who may make them. "owner" is the host who
+// created the experience.
+export const STATUS_TRANSITIONS = {
+  draft: { published: ["owner", "admin"], blocked: ["admin"] },
+  published: { draft: ["owner", "admin"], blocked: ["admin"] },
+  blocked: { draft: ["admin"] },
+};
+
+export const DEFAULT_CURRENCY = (
+  process.env.DEFAULT_CURRENCY ?? "USD"
+).toUpperCase();
+
+// GeoJSON point; coordinates are [longitude, latitude].
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: ([lng, lat, ...rest] = []) =>
+          rest.length === 0 &&
+          Math.abs(lng) <= 180 &&
+          Math.abs(lat) <= 90,
+        message: "Coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  { _id: false }
+);
 
 const experienceSchema = new mongoose.Schema(
   {
@@ -12,11 +48,17 @@ const experienceSchema = new mongoose.Schema(
       trim: true,
       default: "",
     },
+    // Display address; `geo` is what "near" searches use.
     location: {
       type: String,
       required: true,
       trim: true,
     },
+    geo: {
+      type: pointSchema,
+      default: null,
+    },
+    // Per seat, in whole units of `currency`.
     price: {
       type: Number,
       required: true,
@@ -26,10 +68,28 @@ const experienceSchema = new mongoose.Schema(
         message: "Price must be an integer",
       },
     },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+      default: DEFAULT_CURRENCY,
+    },
+    // Start of the first scheduled session, kept in sync by
+    // syncExperienceStart so lists can sort without a lookup.
     startTime: {
       type: Date,
       required: true,
     },
+    // Default capacity for new sessions; seats are tracked per session.
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "Capacity must be an integer",
+      },
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -40,11 +100,39 @@ const experienceSchema = new mongoose.Schema(
       enum: ["draft", "published", "blocked"],
       default: "draft",
     },
+    // Maintained from visible reviews by refreshExperienceRating.
+    ratingAverage: {
+      type: Number,
+      default: null,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
   },
-  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
 );
 
+experienceSchema.plugin(softDelete);
+
 experienceSchema.index({ location: 1, startTime: 1 });
+experienceSchema.index({ price: 1 });
+experienceSchema.index({ geo: "2dsphere" });
+experienceSchema.index({ status: 1, ratingAverage: -1 });
+// Backs `q` on GET /experiences; title matches rank highest.
+experienceSchema.index(
+  { title: "text", description: "text", location: "text" },
+  {
+    name: "experience_text",
+    weights: { title: 5, location: 3, description: 1 },
+  }
+);
 experienceSchema.index({ createdBy: 1, status: 1 });
 
 const Experience = mongoose.model("Experience", experienceSchema);
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+// One bookable date of an experience. Seats are tracked per session.
+const experienceSessionSchema = new mongoose.Schema(
+  {
+    experienceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Experience",
+      required: true,
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "Capacity must be an integer",
+      },
+    },
+    seatsBooked: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "cancelled"],
+      default: "scheduled",
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+experienceSessionSchema.virtual("seatsRemaining").get(function () {
+  return Math.max((this.capacity ?? 0) - (this.seatsBooked ?? 0), 0);
+});
+
+// Seats are reserved with a single conditional update so concurrent bookings
+// can never push seatsBooked past capacity. Callers check that the experience
+// itself is published.
+experienceSessionSchema.statics.reserveSeats = function (sessionId, seats) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      status: "scheduled",
+      $expr: { $lte: [{ $add: ["$seatsBooked", seats] }, "$capacity"] },
+    },
+    { $inc: { seatsBooked: seats } },
+    { new: true }
+  );
+};
+
+experienceSessionSchema.statics.releaseSeats = function (sessionId, seats) {
+  return this.updateOne(
+    { _id: sessionId, seatsBooked: { $gte: seats } },
+    { $inc: { seatsBooked: -seats } }
+  );
+};
+
+experienceSessionSchema.index(
+  { experienceId: 1, startTime: 1 },
+  { unique: true }
+);
+experienceSessionSchema.index({ startTime: 1, status: 1 });
+
+const ExperienceSession = mongoose.model(
+  "ExperienceSession",
+  experienceSessionSchema
+);
+
+export default ExperienceSession;
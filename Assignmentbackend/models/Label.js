@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const labelSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 40,
+    },
+    color: {
+      type: String,
+      match: /^#[0-9a-f]{6}$/i,
+      default: "#6b7280",
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+// Label names are unique per user, ignoring case.
+labelSchema.index(
+  { owner: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+
+const Label = mongoose.model("Label", labelSchema);
+
+export default Label;
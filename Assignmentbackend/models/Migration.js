@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+const migrationSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const Migration = mongoose.model("Migration", migrationSchema);
+
+export default Migration;
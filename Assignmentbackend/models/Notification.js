@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "task_reminder",
+        "task_mention",
+        "task_shared",
+        "task_assigned",
+        "waitlist_offer",
+      ],
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    entityType: {
+      type: String,
+      enum: ["task", "experience", "booking"],
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+notificationSchema.index({ userId: 1, readAt: 1, created_at: -1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
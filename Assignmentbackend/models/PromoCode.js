@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+export const PROMO_TYPES = ["percentage", "fixed"];
+
+// A discount hosts hand out for their experiences. `value` is a percent
+// for percentage codes and an amount in `currency` for fixed codes.
+const promoCodeSchema = new mongoose.Schema(
+  {
+    // Stored uppercase; codes are matched case-insensitively.
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      match: /^[A-Z0-9_-]{3,32}$/,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: PROMO_TYPES,
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "Value must be an integer",
+      },
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      match: /^[A-Z]{3}$/,
+      default: null,
+    },
+    // Empty means every experience the creator hosts. Admins can list any
+    // host's experiences here.
+    experienceIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Experience",
+      },
+    ],
+    // Null means unlimited.
+    maxUses: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+promoCodeSchema.index({ code: 1 }, { unique: true });
+promoCodeSchema.index({ createdBy: 1, created_at: -1 });
+
+const PromoCode = mongoose.model("PromoCode", promoCodeSchema);
+
+export default PromoCode;
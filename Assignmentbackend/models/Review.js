@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+const reviewReplySchema = new mongoose.Schema(
+  {
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    repliedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const reviewSchema = new mongoose.Schema(
+  {
+    experienceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Experience",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be an integer",
+      },
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    // The host's single public reply.
+    reply: {
+      type: reviewReplySchema,
+      default: null,
+    },
+    // Hidden reviews are kept for moderation but excluded from listings and
+    // the experience's rating.
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    hiddenReason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+reviewSchema.index({ experienceId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ experienceId: 1, hiddenAt: 1, created_at: -1 });
+
+const Review = mongoose.model("Review", reviewSchema);
+
+export default Review;
@@ -1,4 +1,43 @@
 import mongoose from "mongoose";
+import softDelete from "./plugins/softDelete.js";
+
+export const TASK_PRIORITIES = ["low", "medium", "high", "urgent"];
+export const COLLABORATOR_ROLES = ["viewer", "editor"];
+
+const collaboratorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: COLLABORATOR_ROLES,
+      default: "viewer",
+    },
+  },
+  { _id: false }
+);
+
+const checklistItemSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    doneAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
 
 const taskSchema = new mongoose.Schema(
   {
@@ -22,10 +61,77 @@ const taskSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    dueDate: {
+      type: Date,
+      default: null,
+    },
+    priority: {
+      type: String,
+      enum: TASK_PRIORITIES,
+      default: "medium",
+    },
+    // Numeric mirror of priority so lists can sort low < ... < urgent.
+    priorityRank: {
+      type: Number,
+      default: 1,
+    },
+    reminderAt: {
+      type: Date,
+      default: null,
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    // Checklist items keep the order they are stored in.
+    checklist: {
+      type: [checklistItemSchema],
+      default: [],
+    },
+    collaborators: {
+      type: [collaboratorSchema],
+      default: [],
+    },
+    // Labels belong to individual users; each user only sees their own.
+    labels: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Label" }],
+      default: [],
+    },
+    // Must be the owner or an editor collaborator.
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Subtasks point at their parent; only one level of nesting is allowed.
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
   },
-  { timestamps: true }
+  // Every save bumps and checks __v, which the API exposes as the version.
+  { timestamps: true, optimisticConcurrency: true }
 );
 
+taskSchema.pre("validate", function () {
+  this.priorityRank = TASK_PRIORITIES.indexOf(this.priority);
+  if (this.isModified("reminderAt")) {
+    this.reminderSentAt = null;
+  }
+});
+
+taskSchema.plugin(softDelete);
+
+taskSchema.index({ owner: 1, createdAt: -1 });
+taskSchema.index({ owner: 1, status: 1, updatedAt: -1 });
+taskSchema.index({ owner: 1, dueDate: 1 });
+taskSchema.index({ reminderSentAt: 1, reminderAt: 1 });
+taskSchema.index({ parent: 1, status: 1 });
+taskSchema.index({ "collaborators.user": 1, updatedAt: -1 });
+taskSchema.index({ assignee: 1, status: 1 });
+taskSchema.index({ labels: 1 });
+
 const Task = mongoose.model("Task", taskSchema);
 
 export default Task;
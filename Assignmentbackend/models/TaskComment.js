@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// One entry in a task's activity thread: either a user comment or a system
+// event such as a status change.
+const taskCommentSchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["comment", "event"],
+      default: "comment",
+    },
+    body: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    mentions: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+    },
+    eventType: {
+      type: String,
+      enum: ["status_changed", null],
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+taskCommentSchema.index({ taskId: 1, created_at: 1 });
+
+const TaskComment = mongoose.model("TaskComment", taskCommentSchema);
+
+export default TaskComment;
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+export const ACTIVE_WAITLIST_STATUSES = ["waiting", "offered"];
+
+// One user's place in a session's waitlist. Entries are served oldest first;
+// finished entries (claimed, left, expired, cancelled) are kept for history.
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    experienceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Experience",
+      required: true,
+    },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExperienceSession",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    seats: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: {
+        validator: Number.isInteger,
+        message: "Seats must be an integer",
+      },
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "claimed", "left", "expired", "cancelled"],
+      default: "waiting",
+    },
+    // While offered, `seats` are held on the session until offerExpiresAt.
+    offeredAt: {
+      type: Date,
+      default: null,
+    },
+    offerExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: "updated_at" } }
+);
+
+// One active entry per user and session (needs MongoDB 6.0+ for $in).
+waitlistEntrySchema.index(
+  { sessionId: 1, userId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ACTIVE_WAITLIST_STATUSES } },
+  }
+);
+waitlistEntrySchema.index({ sessionId: 1, status: 1, created_at: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistEntrySchema.index({ userId: 1, status: 1 });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+export default WaitlistEntry;
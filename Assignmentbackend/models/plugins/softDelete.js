@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+export const TRASH_RETENTION_DAYS = Number(
+  process.env.TRASH_RETENTION_DAYS ?? 30
+);
+
+// Query operations that hide deleted documents. Deletes are left alone so
+// purging can still remove documents that are already in the trash.
+const filteredQueries = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+const mentionsDeletedAt = (filter = {}) =>
+  Object.entries(filter).some(
+    ([key, value]) =>
+      key === "deletedAt" ||
+      (["$and", "$or", "$nor"].includes(key) && value.some(mentionsDeletedAt))
+  );
+
+// Soft delete: documents are moved to the trash by setting deletedAt instead
+// of being removed. Queries and aggregations that do not filter on deletedAt
+// themselves only see documents outside the trash, so reaching the trash
+// means asking for it explicitly, e.g. { deletedAt: { $type: "date" } }.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+  schema.index(
+    { deletedAt: 1 },
+    { partialFilterExpression: { deletedAt: { $type: "date" } } }
+  );
+
+  schema.pre(filteredQueries, function () {
+    if (!mentionsDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const [firstStage] = pipeline;
+    // $geoNear has to stay the first stage, so filter through its query.
+    if (firstStage?.$geoNear) {
+      const query = firstStage.$geoNear.query ?? {};
+      if (!mentionsDeletedAt(query)) {
+        firstStage.$geoNear.query = { ...query, deletedAt: null };
+      }
+      return;
+    }
+    // Merge into a leading $match rather than adding one in front of it, since
+    // a $text search has to stay in the first stage too.
+    if (firstStage?.$match) {
+      if (!mentionsDeletedAt(firstStage.$match)) {
+        firstStage.$match = { ...firstStage.$match, deletedAt: null };
+      }
+      return;
+    }
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+};
+
+export default softDelete;
@@ -23,6 +23,26 @@ const UserSchema = new Schema(
       enum: ["user", "host", "admin"],
       default: "user",
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true }
 );
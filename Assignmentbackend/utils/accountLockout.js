@@ -0,0 +1,42 @@
+import { rateLimitStore, secondsUntil } from "./rateLimitStore.js";
+
+const failureThreshold = Number(process.env.LOGIN_LOCKOUT_THRESHOLD ?? 5);
+const failureWindowMs =
+  Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES ?? 60) * 60000;
+const baseLockoutMs =
+  Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES ?? 1) * 60000;
+const maxLockoutMs =
+  Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES ?? 60) * 60000;
+
+const failureKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+
+// Seconds until the account can try again, or 0 when it is not locked.
+export const getLockoutSeconds = async (email) => {
+  const lock = await rateLimitStore.get(lockKey(email));
+  return lock ? secondsUntil(lock.resetAt) : 0;
+};
+
+// Every failure past the threshold doubles the lockout, up to the maximum.
+export const recordLoginFailure = async (email) => {
+  const { count } = await rateLimitStore.increment(
+    failureKey(email),
+    failureWindowMs
+  );
+  if (count < failureThreshold) {
+    return 0;
+  }
+  const lockoutMs = Math.min(
+    baseLockoutMs * 2 ** (count - failureThreshold),
+    maxLockoutMs
+  );
+  const lock = await rateLimitStore.increment(lockKey(email), lockoutMs);
+  return secondsUntil(lock.resetAt);
+};
+
+export const clearLoginFailures = async (email) => {
+  await Promise.all([
+    rateLimitStore.reset(failureKey(email)),
+    rateLimitStore.reset(lockKey(email)),
+  ]);
+};
@@ -0,0 +1,57 @@
+import AuditLog from "../models/AuditLog.js";
+
+// Bookkeeping fields that change on every write, and secrets.
+const ignoredFields = new Set([
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "created_at",
+  "updated_at",
+  "password",
+]);
+
+const toSnapshot = (value) =>
+  typeof value?.toObject === "function"
+    ? value.toObject({ depopulate: true, virtuals: false })
+    : value ?? {};
+
+// Returns { field: { from, to } } for every top-level field that differs
+// between two documents or plain objects. Either side may be null, e.g. the
+// `before` of a create.
+export const diffSnapshots = (before, after) => {
+  const from = toSnapshot(before);
+  const to = toSnapshot(after);
+  const changes = {};
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (
+      !ignoredFields.has(key) &&
+      JSON.stringify(from[key]) !== JSON.stringify(to[key])
+    ) {
+      changes[key] = { from: from[key] ?? null, to: to[key] ?? null };
+    }
+  }
+  return changes;
+};
+
+// Writes one audit entry. Audit failures are logged rather than thrown so
+// they never undo or fail the change being audited.
+export const recordAudit = async (
+  req,
+  { action, entityType, entityId, before = null, after = null, details = {} },
+  { actorId = req.user?.userId ?? null } = {}
+) => {
+  try {
+    await AuditLog.create({
+      actor: actorId,
+      action,
+      entityType,
+      entityId,
+      changes: diffSnapshots(before, after),
+      details,
+      ip: req.ip ?? null,
+    });
+  } catch (error) {
+    console.log("Audit log write failed", error);
+  }
+};
@@ -0,0 +1,32 @@
+const formatCsvValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  // ObjectIds are written as their plain hex so exports can be joined on ids.
+  if (typeof value === "object" && typeof value.toHexString !== "function") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+// Quotes a value when it contains a delimiter, quote or line break. Values
+// starting with a formula character are prefixed with ' so spreadsheets do
+// not evaluate them.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = formatCsvValue(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) =>
+  [
+    columns.join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(row[column])).join(",")
+    ),
+  ].join("\r\n");
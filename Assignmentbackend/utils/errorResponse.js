@@ -8,3 +8,9 @@ export const sendError = (res, status, code, message, details = []) => {
   });
 };
 
+export const sendTooManyRequests = (res, retryAfterSeconds, code, message) => {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return sendError(res, 429, code, message, [
+    `Retry after ${retryAfterSeconds} seconds`,
+  ]);
+};
@@ -0,0 +1,3 @@
+// Escapes user input so it can be embedded in a RegExp as a literal.
+export const escapeRegex = (value) =>
+  `${value}`.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
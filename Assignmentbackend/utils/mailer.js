@@ -0,0 +1,46 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const MAIL_FROM = process.env.MAIL_FROM || "no-reply@assignment.local";
+const APP_BASE_URL = process.env.APP_BASE_URL || "http://localhost:5173";
+
+// Default transport: every message is written as a JSON file to the outbox
+// directory, so emails can be inspected locally without an SMTP server.
+export const createFileOutboxTransport = (
+  outboxDir = process.env.MAIL_OUTBOX_DIR || path.resolve("outbox")
+) => ({
+  async send(message) {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify(message, null, 2)
+    );
+    return { id: fileName };
+  },
+});
+
+let transport = createFileOutboxTransport();
+
+// Swap in any object with an async send(message) method, e.g. an SMTP client.
+export const setMailTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+export const sendMail = ({ to, subject, text }) =>
+  transport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  });
+
+export const buildAppUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, APP_BASE_URL);
+  Object.entries(params).forEach(([key, value]) => {
+    url.searchParams.set(key, value);
+  });
+  return url.toString();
+};
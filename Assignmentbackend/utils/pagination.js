@@ -0,0 +1,21 @@
+export const parsePagination = (
+  { page = "1", limit } = {},
+  { defaultLimit = 10, maxLimit = Infinity } = {}
+) => {
+  const pageNumber = Number(page);
+  const limitNumber = Number(limit ?? defaultLimit);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return { error: "Page must be >= 1" };
+  }
+  if (!Number.isInteger(limitNumber) || limitNumber < 1) {
+    return { error: "Limit must be >= 1" };
+  }
+  if (limitNumber > maxLimit) {
+    return { error: `Limit must be <= ${maxLimit}` };
+  }
+  return {
+    page: pageNumber,
+    limit: limitNumber,
+    skip: (pageNumber - 1) * limitNumber,
+  };
+};
@@ -0,0 +1,117 @@
+import PromoCode from "../models/PromoCode.js";
+
+const currencyPattern = /^[A-Z]{3}$/;
+
+// Returns the ISO 4217 style code in uppercase, or null when it is not three
+// letters.
+export const normalizeCurrency = (value) => {
+  const currency =
+    typeof value === "string" ? value.trim().toUpperCase() : null;
+  return currency && currencyPattern.test(currency) ? currency : null;
+};
+
+const promoError = (status, code, message) => ({
+  error: { status, code, message },
+});
+
+// Looks up a promo code and checks it can be used on this experience right
+// now. Returns { promo } or { error: { status, code, message } }.
+export const findPromoCode = async (code, experience, now = new Date()) => {
+  if (typeof code !== "string" || !code.trim()) {
+    return promoError(400, "VALIDATION_ERROR", "Promo code must be a string");
+  }
+  const promo = await PromoCode.findOne({ code: code.trim().toUpperCase() });
+  if (!promo || !promo.active) {
+    return promoError(404, "PROMO_NOT_FOUND", "Promo code not found");
+  }
+  if (promo.expiresAt && promo.expiresAt <= now) {
+    return promoError(409, "PROMO_EXPIRED", "Promo code has expired");
+  }
+  if (promo.maxUses !== null && promo.uses >= promo.maxUses) {
+    return promoError(409, "PROMO_EXHAUSTED", "Promo code has been used up");
+  }
+  const inScope = promo.experienceIds.length
+    ? promo.experienceIds.some((id) => id.equals(experience._id))
+    : promo.createdBy.equals(experience.createdBy);
+  if (!inScope) {
+    return promoError(
+      409,
+      "PROMO_NOT_APPLICABLE",
+      "Promo code does not apply to this experience"
+    );
+  }
+  if (promo.type === "fixed" && promo.currency !== experience.currency) {
+    return promoError(
+      409,
+      "PROMO_NOT_APPLICABLE",
+      `Promo code is in ${promo.currency}, but this experience is priced ` +
+        `in ${experience.currency}`
+    );
+  }
+  return { promo };
+};
+
+// Prices `seats` at the experience's current price. Percentage discounts are
+// rounded to the nearest unit and a total never goes below zero. The result is
+// what bookings store as their pricing snapshot.
+export const priceBooking = (experience, seats, promo = null) => {
+  const subtotal = experience.price * seats;
+  let discount = 0;
+  if (promo?.type === "percentage") {
+    discount = Math.round((subtotal * promo.value) / 100);
+  } else if (promo?.type === "fixed") {
+    discount = promo.value;
+  }
+  discount = Math.min(discount, subtotal);
+  return {
+    currency: experience.currency,
+    unitPrice: experience.price,
+    subtotal,
+    discount,
+    total: subtotal - discount,
+    promoCode: promo?.code ?? null,
+    promoCodeId: promo?._id ?? null,
+  };
+};
+
+// Validates an optional promo code and prices the booking. Returns
+// { pricing, promo } or { error }.
+export const quoteBooking = async (experience, seats, code) => {
+  let promo = null;
+  if (code !== undefined && code !== null && code !== "") {
+    const found = await findPromoCode(code, experience);
+    if (found.error) {
+      return found;
+    }
+    promo = found.promo;
+  }
+  return { pricing: priceBooking(experience, seats, promo), promo };
+};
+
+// Takes one use of the code with a single conditional update, so concurrent
+// bookings cannot go past maxUses. Returns null when the code was used up,
+// expired or deactivated since it was checked.
+export const redeemPromoCode = (promoId, now = new Date()) =>
+  PromoCode.findOneAndUpdate(
+    {
+      _id: promoId,
+      active: true,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+      $expr: {
+        $or: [
+          { $eq: ["$maxUses", null] },
+          { $lt: ["$uses", "$maxUses"] },
+        ],
+      },
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+
+// Gives back a use taken by redeemPromoCode when the booking fails or is
+// cancelled.
+export const releasePromoCode = (promoId) =>
+  PromoCode.updateOne(
+    { _id: promoId, uses: { $gt: 0 } },
+    { $inc: { uses: -1 } }
+  );
@@ -0,0 +1,110 @@
+import RateLimit from "../models/RateLimit.js";
+
+// A rate limit store keeps fixed-window counters:
+//   increment(key, windowMs) -> { count, resetAt }  (window starts on first hit)
+//   get(key)                 -> { count, resetAt } or null when no active window
+//   reset(key)
+// The memory store is per process; use the Mongo store when running several
+// instances so they share counters.
+
+export const createMemoryStore = ({ sweepIntervalMs = 60000 } = {}) => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.resetAt <= new Date()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const sweep = setInterval(() => {
+    const now = new Date();
+    entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    });
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const entry = read(key);
+      if (entry) {
+        entry.count += 1;
+        return { ...entry };
+      }
+      const created = { count: 1, resetAt: new Date(Date.now() + windowMs) };
+      entries.set(key, created);
+      return { ...created };
+    },
+    async get(key) {
+      const entry = read(key);
+      return entry ? { ...entry } : null;
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+export const createMongoStore = () => {
+  const increment = async (key, windowMs, attempt = 0) => {
+    const now = new Date();
+    const active = { $gt: ["$resetAt", now] };
+    try {
+      const entry = await RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [active, { $add: ["$count", 1] }, 1] },
+              resetAt: {
+                $cond: [
+                  active,
+                  "$resetAt",
+                  new Date(now.getTime() + windowMs),
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true, updatePipeline: true }
+      );
+      return { count: entry.count, resetAt: entry.resetAt };
+    } catch (error) {
+      // Two first hits can race on the upsert; the loser retries as an update.
+      if (error.code === 11000 && attempt === 0) {
+        return increment(key, windowMs, attempt + 1);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    increment,
+    async get(key) {
+      const entry = await RateLimit.findOne({
+        key,
+        resetAt: { $gt: new Date() },
+      });
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+};
+
+export const rateLimitStore =
+  process.env.RATE_LIMIT_STORE === "mongo"
+    ? createMongoStore()
+    : createMemoryStore();
+
+export const secondsUntil = (date) =>
+  Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
@@ -0,0 +1,152 @@
+// Expands a small RRULE subset into session start times. Supported parts:
+// FREQ=DAILY|WEEKLY, INTERVAL, BYDAY (weekly only), COUNT and UNTIL, e.g.
+// "FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261231". All dates are handled in UTC and
+// every occurrence keeps the time of day of the first start time.
+
+const dayMs = 86400000;
+const weekdays = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+export const MAX_OCCURRENCES = Number(
+  process.env.EXPERIENCE_MAX_SESSIONS ?? 200
+);
+
+// UNTIL is either a date (inclusive, end of that day) or a UTC date-time.
+// Date.UTC rolls out-of-range parts over (month 13 is next January), so the
+// result has to read back as the same parts to be valid.
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(
+    value
+  );
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds] = match.map(
+    (part) => part && Number(part)
+  );
+  const until =
+    hours === undefined
+      ? Date.UTC(year, month - 1, day, 23, 59, 59, 999)
+      : Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const date = new Date(until);
+  const roundTrips =
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    (hours === undefined ||
+      (date.getUTCHours() === hours &&
+        date.getUTCMinutes() === minutes &&
+        date.getUTCSeconds() === seconds));
+  return roundTrips ? until : null;
+};
+
+export const parseRule = (rule) => {
+  if (typeof rule !== "string" || !rule.trim()) {
+    return { error: "Recurrence rule is required" };
+  }
+  const parts = {};
+  for (const part of rule.trim().replace(/^RRULE:/i, "").split(";")) {
+    const [key, value] = part.split("=");
+    if (!key || value === undefined || parts[key.toUpperCase()]) {
+      return { error: `Invalid recurrence rule part "${part}"` };
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const { FREQ, INTERVAL = "1", BYDAY, COUNT, UNTIL, ...rest } = parts;
+  if (Object.keys(rest).length) {
+    return {
+      error: `Unsupported recurrence rule parts: ${Object.keys(rest).join(", ")}`,
+    };
+  }
+  if (!["DAILY", "WEEKLY"].includes(FREQ)) {
+    return { error: "FREQ must be DAILY or WEEKLY" };
+  }
+  const interval = Number(INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { error: "INTERVAL must be an integer >= 1" };
+  }
+  let days = null;
+  if (BYDAY !== undefined) {
+    if (FREQ !== "WEEKLY") {
+      return { error: "BYDAY is only supported with FREQ=WEEKLY" };
+    }
+    days = BYDAY.split(",").map((day) => weekdays.indexOf(day));
+    if (days.includes(-1)) {
+      return { error: "BYDAY must list days as MO, TU, WE, TH, FR, SA, SU" };
+    }
+  }
+  if ((COUNT === undefined) === (UNTIL === undefined)) {
+    return { error: "Recurrence rule needs exactly one of COUNT or UNTIL" };
+  }
+  const count = COUNT === undefined ? null : Number(COUNT);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    return { error: "COUNT must be an integer >= 1" };
+  }
+  const until = UNTIL === undefined ? null : parseUntil(UNTIL);
+  if (UNTIL !== undefined && until === null) {
+    return { error: "UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ" };
+  }
+  return { rule: { freq: FREQ, interval, days, count, until } };
+};
+
+const toDateKey = (value) => new Date(value).toISOString().slice(0, 10);
+
+// Returns { dates } for every occurrence from `start`, minus `exceptions`
+// (dates or date-times; any occurrence on the same UTC day is skipped), or
+// { error }. Like RFC 5545, COUNT includes the excepted occurrences.
+export const expandRecurrence = (start, { rule, exceptions = [] }) => {
+  const parsed = parseRule(rule);
+  if (parsed.error) {
+    return parsed;
+  }
+  if (!Array.isArray(exceptions)) {
+    return { error: "Exceptions must be an array of dates" };
+  }
+  const skipped = new Set();
+  for (const exception of exceptions) {
+    const date = new Date(exception);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid exception date "${exception}"` };
+    }
+    skipped.add(toDateKey(date));
+  }
+
+  const { freq, interval, days, count, until } = parsed.rule;
+  const startMs = start.getTime();
+  const timeOfDay = startMs % dayMs;
+  const startDay = startMs - timeOfDay;
+  const weekDays = days ?? [start.getUTCDay()];
+  // Weeks start on Monday, as with the RRULE default WKST=MO.
+  const weekStart = startDay - ((start.getUTCDay() + 6) % 7) * dayMs;
+
+  const dates = [];
+  let generated = 0;
+  for (let period = 0; ; period += interval) {
+    const candidates =
+      freq === "DAILY"
+        ? [startDay + period * dayMs + timeOfDay]
+        : weekDays
+            .map(
+              (day) =>
+                weekStart + (period * 7 + ((day + 6) % 7)) * dayMs + timeOfDay
+            )
+            .sort((a, b) => a - b);
+    for (const time of candidates) {
+      if (time < startMs) {
+        continue;
+      }
+      if ((until !== null && time > until) || generated === count) {
+        return { dates };
+      }
+      generated += 1;
+      if (!skipped.has(toDateKey(time))) {
+        dates.push(new Date(time));
+      }
+      if (dates.length > MAX_OCCURRENCES) {
+        return {
+          error: `Recurrence cannot create more than ${MAX_OCCURRENCES} sessions`,
+        };
+      }
+    }
+  }
+};
@@ -0,0 +1,25 @@
+import Experience from "../models/Experience.js";
+import Review from "../models/Review.js";
+
+// Recomputes ratingAverage and ratingCount from the experience's visible
+// reviews. Recomputing instead of incrementing keeps hide/unhide and retries
+// from drifting the totals.
+export const refreshExperienceRating = async (experienceId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { experienceId, hiddenAt: null } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: "$rating" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  await Experience.updateOne(
+    { _id: experienceId },
+    {
+      ratingAverage: stats ? Math.round(stats.average * 100) / 100 : null,
+      ratingCount: stats?.count ?? 0,
+    }
+  );
+};
@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+import Experience from "../models/Experience.js";
+import ExperienceSession from "../models/ExperienceSession.js";
+import Booking from "../models/Booking.js";
+import { sendMail } from "./mailer.js";
+import { expandRecurrence } from "./recurrence.js";
+
+// Resolves the session start times for a create request: a single startTime,
+// or a recurrence expanded from it. Returns { dates } or { error }.
+export const buildSessionDates = (startTime, recurrence) => {
+  if (recurrence === undefined || recurrence === null) {
+    return { dates: [startTime] };
+  }
+  if (typeof recurrence !== "object") {
+    return { error: "Recurrence must be { rule, exceptions }" };
+  }
+  const expanded = expandRecurrence(startTime, recurrence);
+  if (expanded.error) {
+    return expanded;
+  }
+  if (!expanded.dates.length) {
+    return { error: "Recurrence does not produce any sessions" };
+  }
+  return expanded;
+};
+
+// Creates sessions for the given start times, skipping times the experience
+// already has. Returns the created sessions.
+export const createSessions = async (experienceId, dates, capacity) => {
+  const existing = new Set(
+    (
+      await ExperienceSession.distinct("startTime", {
+        experienceId,
+        startTime: { $in: dates },
+      })
+    ).map((date) => date.getTime())
+  );
+  const fresh = dates.filter((date) => !existing.has(date.getTime()));
+  if (!fresh.length) {
+    return [];
+  }
+  return ExperienceSession.insertMany(
+    fresh.map((startTime) => ({ experienceId, startTime, capacity }))
+  );
+};
+
+// Keeps Experience.startTime on the next upcoming scheduled session, or on
+// the last scheduled one once none are upcoming, so past sessions do not pin
+// the experience to an old date.
+export const syncExperienceStart = async (experienceId, now = new Date()) => {
+  const session =
+    (await ExperienceSession.findOne({
+      experienceId,
+      status: "scheduled",
+      startTime: { $gte: now },
+    }).sort({ startTime: 1 })) ??
+    (await ExperienceSession.findOne({
+      experienceId,
+      status: "scheduled",
+    }).sort({ startTime: -1 }));
+  if (session) {
+    await Experience.updateOne(
+      { _id: experienceId },
+      { startTime: session.startTime }
+    );
+  }
+};
+
+// Picks the session a booking or waitlist request is for. Without a
+// sessionId, the experience's only upcoming session is used. Returns
+// { session } or { error: { status, code, message } }.
+export const resolveSession = async (experience, sessionId) => {
+  if (sessionId !== undefined && sessionId !== null) {
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await ExperienceSession.findOne({
+          _id: sessionId,
+          experienceId: experience._id,
+        })
+      : null;
+    if (!session) {
+      return {
+        error: {
+          status: 404,
+          code: "SESSION_NOT_FOUND",
+          message: "Session not found",
+        },
+      };
+    }
+    if (session.status === "cancelled") {
+      return {
+        error: {
+          status: 409,
+          code: "SESSION_CANCELLED",
+          message: "Session is cancelled",
+        },
+      };
+    }
+    return { session };
+  }
+
+  const upcoming = await ExperienceSession.find({
+    experienceId: experience._id,
+    status: "scheduled",
+    startTime: { $gt: new Date() },
+  }).limit(2);
+  if (upcoming.length !== 1) {
+    return {
+      error: {
+        status: 400,
+        code: "VALIDATION_ERROR",
+        message: upcoming.length
+          ? "sessionId is required for experiences with several sessions"
+          : "Experience has no upcoming sessions",
+      },
+    };
+  }
+  return { session: upcoming[0] };
+};
+
+// Confirmed bookings matching `filter`, e.g. { experienceId } or
+// { sessionId }, with their guest's email populated.
+export const findAttendees = (filter) =>
+  Booking.find({ ...filter, status: "confirmed" }).populate("userId", "email");
+
+// Emails the guests of `bookings`. Failed sends are logged rather than thrown
+// so they never fail the change the email is about. Returns the number of
+// bookings.
+export const emailAttendees = async (bookings, subject, text) => {
+  const results = await Promise.allSettled(
+    bookings
+      .filter((booking) => booking.userId?.email)
+      .map((booking) => sendMail({ to: booking.userId.email, subject, text }))
+  );
+  for (const result of results) {
+    if (result.status === "rejected") {
+      console.log("Attendee email failed", result.reason);
+    }
+  }
+  return bookings.length;
+};
+
+// Emails everyone with a confirmed booking matching `filter`. Returns the
+// number of bookings.
+export const notifyAttendees = async (filter, subject, text) =>
+  emailAttendees(await findAttendees(filter), subject, text);
@@ -0,0 +1,59 @@
+import Task from "../models/Task.js";
+import { sendError } from "./errorResponse.js";
+
+// What each permission needs. Owners and admins can do everything, editors
+// can change the task and its checklist, viewers can read and comment.
+const permissionRoles = {
+  view: ["owner", "admin", "editor", "viewer"],
+  edit: ["owner", "admin", "editor"],
+  manage: ["owner", "admin"],
+};
+
+const sameId = (value, userId) =>
+  Boolean(value) && (value._id ?? value).toString() === userId;
+
+// Returns the caller's role on a task: owner, admin, editor, viewer or null.
+export const getTaskRole = (task, user) => {
+  if (sameId(task.owner, user.userId)) {
+    return "owner";
+  }
+  if (user.role === "admin") {
+    return "admin";
+  }
+  const collaborator = task.collaborators?.find((entry) =>
+    sameId(entry.user, user.userId)
+  );
+  return collaborator?.role ?? null;
+};
+
+export const canAccessTask = (task, user, permission = "view") =>
+  permissionRoles[permission].includes(getTaskRole(task, user));
+
+// Mongo filter for every task a user owns or collaborates on.
+export const accessibleTaskFilter = (userId) => ({
+  $or: [{ owner: userId }, { "collaborators.user": userId }],
+});
+
+// Loads the task named by :id when the caller has `permission` on it, sending
+// the error response itself when that fails. With `trashed`, only a task in
+// the trash is found.
+export const loadTask = async (
+  req,
+  res,
+  permission = "view",
+  { trashed = false } = {}
+) => {
+  const task = await Task.findOne({
+    _id: req.params.id,
+    deletedAt: trashed ? { $type: "date" } : null,
+  });
+  if (!task) {
+    sendError(res, 404, "TASK_NOT_FOUND", "Task not found");
+    return null;
+  }
+  if (!canAccessTask(task, req.user, permission)) {
+    sendError(res, 403, "TASK_FORBIDDEN", "Access denied");
+    return null;
+  }
+  return task;
+};
@@ -0,0 +1,72 @@
+import TaskComment from "../models/TaskComment.js";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { canAccessTask } from "./taskAccess.js";
+
+const mentionPattern = /(?:^|\s)@([^\s@]+@[^\s@]+\.[a-z]{2,})/gi;
+
+// Pass `session` to record the event inside a transaction.
+export const recordTaskEvent = (
+  task,
+  actorId,
+  eventType,
+  details,
+  session = null
+) =>
+  TaskComment.create(
+    [
+      {
+        taskId: task._id,
+        author: actorId,
+        kind: "event",
+        eventType,
+        details,
+      },
+    ],
+    { session }
+  );
+
+// Returns the lowercased, de-duplicated emails mentioned as "@email".
+export const parseMentions = (body) => [
+  ...new Set(
+    [...body.matchAll(mentionPattern)].map((match) => match[1].toLowerCase())
+  ),
+];
+
+// Resolves mentioned emails to active users who can see the task. Mentions of
+// anyone else are dropped so a comment never leaks a task to outsiders.
+export const resolveMentions = async (task, body, authorId) => {
+  const emails = parseMentions(body);
+  if (!emails.length) {
+    return [];
+  }
+  const users = await User.find(
+    { email: { $in: emails }, isActive: true },
+    "role"
+  );
+  return users.filter(
+    (user) =>
+      !user._id.equals(authorId) &&
+      canAccessTask(task, { userId: user._id.toString(), role: user.role })
+  );
+};
+
+export const notifyMentions = (task, users, authorEmail) =>
+  Notification.insertMany(
+    users.map((user) => ({
+      userId: user._id,
+      type: "task_mention",
+      message: `${authorEmail} mentioned you on "${task.title}"`,
+      entityType: "task",
+      entityId: task._id,
+    }))
+  );
+
+export const notifyTaskUser = (task, userId, type, message) =>
+  Notification.create({
+    userId,
+    type,
+    message,
+    entityType: "task",
+    entityId: task._id,
+  });
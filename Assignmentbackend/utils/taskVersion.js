@@ -0,0 +1,64 @@
+import crypto from "crypto";
+import { sendError } from "./errorResponse.js";
+
+// Tasks use optimistic concurrency, so __v changes on every save and doubles
+// as the version clients send back. Given the response body, a hash of it is
+// appended: subtask progress and populated users and labels change without a
+// new version, and the tag must change with them to answer If-None-Match.
+export const taskEtag = (task, body) => {
+  const version = `${task._id}-${task.__v}`;
+  if (body === undefined) {
+    return `"${version}"`;
+  }
+  const digest = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(body))
+    .digest("base64url")
+    .slice(0, 16);
+  return `"${version}-${digest}"`;
+};
+
+// If-Match only compares the version part, so a tag from GET still matches
+// after, say, a subtask was completed.
+const matchesVersion = (tag, task) => {
+  const version = `"${task._id}-${task.__v}`;
+  return tag === `${version}"` || tag.startsWith(`${version}-`);
+};
+
+export const isVersionConflict = (error) => error.name === "VersionError";
+
+export const sendVersionConflict = (res) =>
+  sendError(
+    res,
+    409,
+    "TASK_VERSION_CONFLICT",
+    "Task was changed by someone else; reload it and try again"
+  );
+
+// Checks the caller's If-Match header and/or `version` (body, or query for
+// DELETE) against the loaded task. Sends 412 or 409 and returns false when
+// the caller is working from a stale copy.
+export const checkTaskVersion = (req, res, task) => {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch && ifMatch.trim() !== "*") {
+    const tags = ifMatch
+      .split(",")
+      .map((tag) => tag.trim().replace(/^W\//, ""));
+    if (!tags.some((tag) => matchesVersion(tag, task))) {
+      sendError(
+        res,
+        412,
+        "TASK_PRECONDITION_FAILED",
+        "Task does not match If-Match; reload it and try again"
+      );
+      return false;
+    }
+  }
+
+  const version = req.body?.version ?? req.query.version;
+  if (version !== undefined && Number(version) !== task.__v) {
+    sendVersionConflict(res);
+    return false;
+  }
+  return true;
+};
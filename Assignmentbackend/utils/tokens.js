@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/RefreshToken.js";
+import User from "../models/User.js";
+
+export const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-this";
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(
+  process.env.REFRESH_TOKEN_TTL_DAYS ?? 30
+);
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+export const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const createRefreshToken = async (userId, family) => {
+  const rawToken = crypto.randomBytes(48).toString("hex");
+  const refreshToken = await RefreshToken.create({
+    userId,
+    family,
+    tokenHash: hashToken(rawToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000),
+  });
+  return { rawToken, refreshToken };
+};
+
+const buildSessionResponse = (user, family, rawToken) => ({
+  token: signAccessToken(user, family),
+  refreshToken: rawToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+export const issueSession = async (user) => {
+  const family = crypto.randomUUID();
+  const { rawToken } = await createRefreshToken(user._id, family);
+  return buildSessionResponse(user, family, rawToken);
+};
+
+export const revokeSession = (family, reason = "logout") =>
+  RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+export const revokeAllSessions = (userId, reason = "logout_all") =>
+  RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+export const isSessionActive = async (family, userId) =>
+  Boolean(
+    await RefreshToken.exists({
+      family,
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+  );
+
+// Exchanges a refresh token for a new access/refresh pair. Presenting a token
+// that was already rotated means it leaked, so the whole family is revoked.
+export const rotateRefreshToken = async (rawToken) => {
+  const existing = await RefreshToken.findOne({
+    tokenHash: hashToken(rawToken),
+  });
+  if (!existing) {
+    return { error: "AUTH_REFRESH_INVALID" };
+  }
+  if (existing.revokedAt) {
+    if (existing.revokedReason === "rotated") {
+      await revokeSession(existing.family, "reuse_detected");
+      return { error: "AUTH_REFRESH_REUSED" };
+    }
+    return { error: "AUTH_REFRESH_INVALID" };
+  }
+  if (existing.expiresAt <= new Date()) {
+    return { error: "AUTH_REFRESH_EXPIRED" };
+  }
+
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated" }
+  );
+  if (!claimed) {
+    // Lost a race against another request presenting the same token.
+    await revokeSession(existing.family, "reuse_detected");
+    return { error: "AUTH_REFRESH_REUSED" };
+  }
+
+  const user = await User.findById(existing.userId);
+  if (!user || !user.isActive) {
+    await revokeSession(existing.family);
+    return { error: "AUTH_REFRESH_INVALID" };
+  }
+
+  const { rawToken: nextRawToken, refreshToken } = await createRefreshToken(
+    user._id,
+    existing.family
+  );
+  await RefreshToken.updateOne(
+    { _id: existing._id },
+    { replacedBy: refreshToken._id }
+  );
+
+  return {
+    user,
+    session: buildSessionResponse(user, existing.family, nextRawToken),
+  };
+};
@@ -0,0 +1,69 @@
+import Task from "../models/Task.js";
+import TaskComment from "../models/TaskComment.js";
+import Experience from "../models/Experience.js";
+import Booking from "../models/Booking.js";
+import Review from "../models/Review.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import ExperienceSession from "../models/ExperienceSession.js";
+
+// Moves a task and its subtasks to the trash with one shared deletedAt, so
+// restoring the parent brings back exactly the subtasks trashed with it.
+// Returns null when the task changed since it was loaded.
+export const trashTask = async (task, userId, session = null) => {
+  const deletedAt = new Date();
+  const trashed = await Task.updateOne(
+    { _id: task._id, __v: task.__v },
+    { deletedAt, deletedBy: userId, $inc: { __v: 1 } },
+    { session }
+  );
+  if (!trashed.modifiedCount) {
+    return null;
+  }
+  const { modifiedCount } = await Task.updateMany(
+    { parent: task._id },
+    { deletedAt, deletedBy: userId },
+    { session }
+  );
+  return { trashedSubtasks: modifiedCount };
+};
+
+export const restoreTask = async (task) => {
+  const restored = await Task.findOneAndUpdate(
+    { _id: task._id, deletedAt: task.deletedAt },
+    { deletedAt: null, deletedBy: null, $inc: { __v: 1 } },
+    { new: true }
+  );
+  if (!restored) {
+    return null;
+  }
+  const { modifiedCount } = await Task.updateMany(
+    { parent: task._id, deletedAt: task.deletedAt },
+    { deletedAt: null, deletedBy: null }
+  );
+  return { task: restored, restoredSubtasks: modifiedCount };
+};
+
+// Permanently removes tasks, their subtasks and every comment thread.
+export const purgeTasks = async (taskIds) => {
+  const subtaskIds = await Task.distinct("_id", {
+    parent: { $in: taskIds },
+    deletedAt: { $type: "date" },
+  });
+  const allIds = [...taskIds, ...subtaskIds];
+  await TaskComment.deleteMany({ taskId: { $in: allIds } });
+  const { deletedCount } = await Task.deleteMany({ _id: { $in: allIds } });
+  return deletedCount;
+};
+
+// Permanently removes experiences with their sessions, (cancelled) bookings,
+// reviews and waitlist entries.
+export const purgeExperiences = async (experienceIds) => {
+  await Booking.deleteMany({ experienceId: { $in: experienceIds } });
+  await Review.deleteMany({ experienceId: { $in: experienceIds } });
+  await WaitlistEntry.deleteMany({ experienceId: { $in: experienceIds } });
+  await ExperienceSession.deleteMany({ experienceId: { $in: experienceIds } });
+  const { deletedCount } = await Experience.deleteMany({
+    _id: { $in: experienceIds },
+  });
+  return deletedCount;
+};
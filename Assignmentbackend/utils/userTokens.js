@@ -0,0 +1,34 @@
+import crypto from "crypto";
+import UserToken from "../models/UserToken.js";
+import { hashToken } from "./tokens.js";
+
+// Issues a single-use token for an emailed link. Only the hash is stored and
+// any earlier unused token for the same purpose stops working.
+export const createUserToken = async (userId, purpose, ttlMinutes) => {
+  const now = new Date();
+  await UserToken.updateMany(
+    { userId, purpose, usedAt: null },
+    { usedAt: now }
+  );
+
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(rawToken),
+    expiresAt: new Date(now.getTime() + ttlMinutes * 60000),
+  });
+  return rawToken;
+};
+
+export const consumeUserToken = (rawToken, purpose) =>
+  UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(rawToken),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
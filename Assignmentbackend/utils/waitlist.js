@@ -0,0 +1,127 @@
+import Experience from "../models/Experience.js";
+import ExperienceSession from "../models/ExperienceSession.js";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { sendMail } from "./mailer.js";
+
+export const WAITLIST_HOLD_MINUTES = Number(
+  process.env.WAITLIST_HOLD_MINUTES ?? 30
+);
+
+// Best effort: the offer is already committed when this runs, so a failed
+// notification or email is logged instead of failing the cancellation or
+// expiry run that freed the seats. The offer stays visible on /waitlist/me.
+const notifyOffer = async (entry, experience, session) => {
+  const message =
+    `${entry.seats} seat(s) for "${experience.title}" on ` +
+    `${session.startTime.toISOString()} are held for you until ` +
+    `${entry.offerExpiresAt.toISOString()}`;
+  try {
+    await Notification.create({
+      userId: entry.userId,
+      type: "waitlist_offer",
+      message,
+      entityType: "experience",
+      entityId: experience._id,
+    });
+    const user = await User.findById(entry.userId, "email name");
+    if (user) {
+      await sendMail({
+        to: user.email,
+        subject: `Seats available: ${experience.title}`,
+        text: [
+          `Hi ${user.name},`,
+          "",
+          message,
+          "Claim them from your waitlist before the hold expires.",
+        ].join("\n"),
+      });
+    }
+  } catch (error) {
+    console.log("Waitlist offer notification failed", error);
+  }
+};
+
+// Offers a session's free seats to its waitlist strictly in FIFO order. Each
+// offer reserves the seats on the session first, so nobody else can book them
+// during the hold. Stops at the first entry that does not fit, so later,
+// smaller requests never jump the queue. Returns the number of offers made.
+export const offerFreedSeats = async (sessionId, now = new Date()) => {
+  let offers = 0;
+  for (;;) {
+    const next = await WaitlistEntry.findOne({
+      sessionId,
+      status: "waiting",
+    }).sort({ created_at: 1, _id: 1 });
+    if (!next) {
+      return offers;
+    }
+    const experience = await Experience.findOne({
+      _id: next.experienceId,
+      status: "published",
+    });
+    if (!experience) {
+      return offers;
+    }
+    const session = await ExperienceSession.reserveSeats(sessionId, next.seats);
+    if (!session) {
+      return offers;
+    }
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: next._id, status: "waiting" },
+      {
+        status: "offered",
+        offeredAt: now,
+        offerExpiresAt: new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60000),
+      },
+      { new: true }
+    );
+    if (!offered) {
+      // The user left or another process offered first; give the seats back.
+      await ExperienceSession.releaseSeats(sessionId, next.seats);
+      continue;
+    }
+    await notifyOffer(offered, experience, session);
+    offers += 1;
+  }
+};
+
+// True while anyone is queued for the session. Direct bookings wait behind
+// them so the queue keeps its FIFO guarantee.
+export const hasWaitingEntries = (sessionId) =>
+  WaitlistEntry.exists({ sessionId, status: "waiting" }).then(Boolean);
+
+// Offers free seats on every session of an experience that has a queue,
+// e.g. after it is published again.
+export const offerFreedSeatsForExperience = async (experienceId) => {
+  const sessionIds = await WaitlistEntry.distinct("sessionId", {
+    experienceId,
+    status: "waiting",
+  });
+  for (const sessionId of sessionIds) {
+    await offerFreedSeats(sessionId);
+  }
+};
+
+// Hands an offer's held seats back and offers them to the next in line.
+export const releaseOffer = async (entry) => {
+  await ExperienceSession.releaseSeats(entry.sessionId, entry.seats);
+  await offerFreedSeats(entry.sessionId);
+};
+
+// Position in the queue, 1 being next; null once the entry is not waiting.
+export const waitlistPosition = async (entry) => {
+  if (entry.status !== "waiting") {
+    return null;
+  }
+  const ahead = await WaitlistEntry.countDocuments({
+    sessionId: entry.sessionId,
+    status: "waiting",
+    $or: [
+      { created_at: { $lt: entry.created_at } },
+      { created_at: entry.created_at, _id: { $lt: entry._id } },
+    ],
+  });
+  return ahead + 1;
+};